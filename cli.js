@@ -3,6 +3,7 @@
 // Released under the MIT License
 
 var fs = require('fs');
+var zlib = require('zlib');
 var readline = require('readline');
 var path = require('path');
 var chalk = require('chalk');
@@ -10,16 +11,459 @@ var stringWidth = require('string-width');
 var widestLine = require('widest-line');
 var repeating = require('repeating');
 var wordWrap = require('word-wrap');
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var tty = require('tty');
 
 var Tools = require('pixl-tools');
 var Args = require('pixl-args');
 var args = new Args();
 
+// chalk style methods we export
+var chalkStyles = ["reset","bold","dim","italic","underline","inverse","hidden","strikethrough","black","red","green","yellow","blue","magenta","cyan","white","gray","grey","bgBlack","bgRed","bgGreen","bgYellow","bgBlue","bgMagenta","bgCyan","bgWhite"];
+
+var editDistance = function(a, b) {
+	// compute levenshtein distance between two strings, for "did you mean" suggestions
+	var prev = [];
+	for (var j = 0; j <= b.length; j++) prev[j] = j;
+	
+	for (var i = 1; i <= a.length; i++) {
+		var cur = [i];
+		for (var j = 1; j <= b.length; j++) {
+			cur[j] = Math.min( prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + ((a[i - 1] == b[j - 1]) ? 0 : 1) );
+		}
+		prev = cur;
+	}
+	return prev[b.length];
+};
+
+var deepCopy = function(value) {
+	// recursively copy plain objects and arrays, sharing everything else (functions, regexps, etc.)
+	if (Tools.isaArray(value)) return value.map( deepCopy );
+	if (!value || (typeof(value) != 'object') || (Object.getPrototypeOf(value) !== Object.prototype)) return value;
+	
+	var output = {};
+	for (var key in value) output[key] = deepCopy( value[key] );
+	return output;
+};
+
+var middleSnake = function(a, b) {
+	// find where the forward and reverse myers paths meet, to split the diff in two
+	// uses two arrays of size O(n + m), rather than keeping a trace of every step
+	// returns { x, y } split point, or null if there is nothing in common
+	var n = a.length;
+	var m = b.length;
+	var max = Math.ceil( (n + m) / 2 );
+	var offset = max + 1;
+	var size = (2 * max) + 3;
+	var v1 = new Int32Array(size).fill(-1);
+	var v2 = new Int32Array(size).fill(-1);
+	var delta = n - m;
+	var front = (delta % 2 !== 0);
+	var k1start = 0, k1end = 0, k2start = 0, k2end = 0;
+	v1[offset + 1] = 0;
+	v2[offset + 1] = 0;
+	
+	for (var d = 0; d < max; d++) {
+		// forward path
+		for (var k1 = -d + k1start; k1 <= d - k1end; k1 += 2) {
+			var i1 = offset + k1;
+			var x1 = ((k1 == -d) || ((k1 != d) && (v1[i1 - 1] < v1[i1 + 1]))) ? v1[i1 + 1] : (v1[i1 - 1] + 1);
+			var y1 = x1 - k1;
+			while ((x1 < n) && (y1 < m) && (a[x1] === b[y1])) { x1++; y1++; }
+			v1[i1] = x1;
+			
+			if (x1 > n) k1end += 2;
+			else if (y1 > m) k1start += 2;
+			else if (front) {
+				var i2 = offset + delta - k1;
+				if ((i2 >= 0) && (i2 < size) && (v2[i2] != -1) && (x1 >= n - v2[i2])) return { x: x1, y: y1 };
+			}
+		}
+		
+		// reverse path
+		for (var k2 = -d + k2start; k2 <= d - k2end; k2 += 2) {
+			var i2 = offset + k2;
+			var x2 = ((k2 == -d) || ((k2 != d) && (v2[i2 - 1] < v2[i2 + 1]))) ? v2[i2 + 1] : (v2[i2 - 1] + 1);
+			var y2 = x2 - k2;
+			while ((x2 < n) && (y2 < m) && (a[n - x2 - 1] === b[m - y2 - 1])) { x2++; y2++; }
+			v2[i2] = x2;
+			
+			if (x2 > n) k2end += 2;
+			else if (y2 > m) k2start += 2;
+			else if (!front) {
+				var i1 = offset + delta - k2;
+				if ((i1 >= 0) && (i1 < size) && (v1[i1] != -1) && (v1[i1] >= n - x2)) {
+					return { x: v1[i1], y: v1[i1] - (i1 - offset) };
+				}
+			}
+		}
+	}
+	
+	return null;
+};
+
+var diffSequence = function(a, b, edits) {
+	// append edits turning array a into array b, trimming common ends and splitting at the middle snake
+	var pre = 0;
+	var post = 0;
+	while ((pre < a.length) && (pre < b.length) && (a[pre] === b[pre])) pre++;
+	while ((post < a.length - pre) && (post < b.length - pre) && (a[a.length - post - 1] === b[b.length - post - 1])) post++;
+	
+	for (var idx = 0; idx < pre; idx++) edits.push({ type: ' ', text: a[idx] });
+	var a2 = a.slice( pre, a.length - post );
+	var b2 = b.slice( pre, b.length - post );
+	var split = (a2.length && b2.length) ? middleSnake(a2, b2) : null;
+	
+	if (split) {
+		diffSequence( a2.slice(0, split.x), b2.slice(0, split.y), edits );
+		diffSequence( a2.slice(split.x), b2.slice(split.y), edits );
+	}
+	else {
+		a2.forEach( function(line) { edits.push({ type: '-', text: line }); } );
+		b2.forEach( function(line) { edits.push({ type: '+', text: line }); } );
+	}
+	
+	for (var idx = a.length - post; idx < a.length; idx++) edits.push({ type: ' ', text: a[idx] });
+};
+
+var releaseSwitches = function(args, argv, switches, aliases) {
+	// pixl-args lets a switch swallow the next word as its value, so `--force deploy` sets force to "deploy"
+	// for switches known to be boolean, hand the word back as a positional arg, in its original place
+	var loose = {};
+	for (var key in switches) {
+		var value = args[key];
+		if ((key in args) && (typeof(value) != 'boolean') && !Tools.isaArray(value) && !('' + value).match(/^(true|false|yes|no|y|n|on|off|1|0)$/i)) {
+			loose[key] = value;
+			args[key] = true;
+		}
+	}
+	if (!Tools.numKeys(loose)) return;
+	
+	if (!argv.length) {
+		// pre-parsed args, so original order is unknown
+		for (var key in loose) args.other = [ '' + loose[key] ].concat( args.other || [] );
+		return;
+	}
+	
+	// replay argv the way pixl-args parses it, keeping released words in sequence
+	var other = [];
+	var lastKey = '';
+	var endMark = false;
+	
+	argv.forEach( function(arg) {
+		if (!endMark && (arg == '--')) { endMark = true; lastKey = ''; }
+		else if (!endMark && arg.match(/^\-+(.+)$/)) lastKey = RegExp.$1.trim();
+		else if (lastKey) {
+			if ((lastKey in loose) || (aliases[lastKey] in loose)) other.push( arg );
+			lastKey = '';
+		}
+		else other.push( arg );
+	} );
+	args.other = other;
+};
+
+var stripJSONComments = function(text) {
+	// strip // and /* */ comments from JSON text, leaving strings intact
+	// comments are replaced with spaces, so error positions still match the original text
+	var output = '';
+	var idx = 0;
+	var len = text.length;
+	
+	while (idx < len) {
+		var ch = text[idx];
+		if (ch == '"') {
+			// copy string verbatim, honoring escapes
+			var end = idx + 1;
+			while ((end < len) && (text[end] != '"')) end += (text[end] == "\\") ? 2 : 1;
+			output += text.substring(idx, end + 1);
+			idx = end + 1;
+		}
+		else if ((ch == '/') && (text[idx + 1] == '/')) {
+			while ((idx < len) && (text[idx] != "\n")) { output += ' '; idx++; }
+		}
+		else if ((ch == '/') && (text[idx + 1] == '*')) {
+			var end = text.indexOf('*/', idx + 2);
+			end = (end > -1) ? (end + 2) : len;
+			output += text.substring(idx, end).replace(/[^\n]/g, ' ');
+			idx = end;
+		}
+		else { output += ch; idx++; }
+	}
+	return output;
+};
+
+var splitWords = function(line) {
+	// split command line into words, honoring single and double quotes and backslash escapes
+	var words = [];
+	var word = null;
+	var quote = '';
+	
+	for (var idx = 0, len = line.length; idx < len; idx++) {
+		var ch = line[idx];
+		if (quote) {
+			if (ch == quote) quote = '';
+			else if ((ch == "\\") && (quote == '"') && (idx < len - 1)) word += line[++idx];
+			else word += ch;
+		}
+		else if (ch.match(/\s/)) {
+			if (word !== null) { words.push(word); word = null; }
+		}
+		else {
+			if (word === null) word = '';
+			if ((ch == '"') || (ch == "'")) quote = ch;
+			else if ((ch == "\\") && (idx < len - 1)) word += line[++idx];
+			else word += ch;
+		}
+	}
+	if (word !== null) words.push(word);
+	return words;
+};
+
+var findJSONError = function(text) {
+	// locate offset of first syntax error in JSON text, or -1 if valid
+	// engine error messages vary (and often lack a position), so we scan it ourselves
+	var idx = 0;
+	var len = text.length;
+	var fail = function() { throw { jsonErrorPos: idx }; };
+	
+	var space = function() {
+		while ((idx < len) && " \t\r\n".indexOf(text[idx]) > -1) idx++;
+	};
+	var digits = function() {
+		if (!((text[idx] >= '0') && (text[idx] <= '9'))) fail();
+		while ((text[idx] >= '0') && (text[idx] <= '9')) idx++;
+	};
+	var literal = function(word) {
+		for (var idy = 0; idy < word.length; idy++, idx++) {
+			if (text[idx] !== word[idy]) fail();
+		}
+	};
+	var string = function() {
+		idx++;
+		while (idx < len) {
+			if (text[idx] == '"') { idx++; return; }
+			if (text[idx] < ' ') fail();
+			idx += (text[idx] == "\\") ? 2 : 1;
+		}
+		fail();
+	};
+	var list = function(close, item) {
+		// shared by objects and arrays
+		idx++;
+		space();
+		if (text[idx] == close) { idx++; return; }
+		while (true) {
+			item();
+			space();
+			if (text[idx] == close) { idx++; return; }
+			if (text[idx] != ',') fail();
+			idx++;
+		}
+	};
+	var value = function() {
+		space();
+		var ch = text[idx];
+		if (ch == '{') list( '}', function() {
+			space();
+			if (text[idx] != '"') fail();
+			string();
+			space();
+			if (text[idx] != ':') fail();
+			idx++;
+			value();
+		} );
+		else if (ch == '[') list( ']', value );
+		else if (ch == '"') string();
+		else if (ch == 't') literal('true');
+		else if (ch == 'f') literal('false');
+		else if (ch == 'n') literal('null');
+		else {
+			if (ch == '-') idx++;
+			digits();
+			if (text[idx] == '.') { idx++; digits(); }
+			if ((text[idx] == 'e') || (text[idx] == 'E')) {
+				idx++;
+				if ((text[idx] == '+') || (text[idx] == '-')) idx++;
+				digits();
+			}
+		}
+	};
+	
+	try {
+		value();
+		space();
+		if (idx < len) fail();
+	}
+	catch (err) {
+		if (err && ('jsonErrorPos' in err)) return Math.min( err.jsonErrorPos, len );
+		throw err;
+	}
+	return -1;
+};
+
+var codeFrame = function(text, line, column) {
+	// render a few lines of text around line:column (1-based), with a caret under the column
+	var lines = text.split(/\n/);
+	var first = Math.max( 1, line - 2 );
+	var last = Math.min( lines.length, line + 1 );
+	if ((last > line) && !lines[last - 1]) last--;
+	var gutter = ('' + last).length;
+	var output = [];
+	
+	for (var num = first; num <= last; num++) {
+		var src = lines[num - 1].replace(/\r$/, '');
+		var label = '' + num;
+		while (label.length < gutter) label = ' ' + label;
+		output.push( ((num == line) ? '> ' : '  ') + label + ' | ' + src.replace(/\t/g, '    ') );
+		
+		if (num == line) {
+			var before = src.substring(0, column - 1).replace(/\t/g, '    ');
+			output.push( '  ' + label.replace(/./g, ' ') + ' | ' + before.replace(/[^\s]/g, ' ') + '^' );
+		}
+	}
+	return output.join("\n");
+};
+
+var isGzip = function(file, opts) {
+	// check if file should be transparently (de)compressed, from opts or .gz extension
+	if (opts && ('gzip' in opts)) return !!opts.gzip;
+	return !!('' + file).match(/\.gz$/i);
+};
+
+var fsCall = function(func) {
+	// call async fs function with remaining args, return promise
+	var args = [].slice.call(arguments, 1);
+	return new Promise( function(resolve, reject) {
+		func.apply( fs, args.concat( function(err, result) {
+			if (err) reject(err);
+			else resolve(result);
+		} ) );
+	} );
+};
+
+var tempFile = function(file) {
+	// unique temp file path in the same directory, so rename() is atomic
+	return path.join( path.dirname(file), '.' + path.basename(file) + '.tmp.' + process.pid + '.' + Math.random().toString(36).substring(2, 8) );
+};
+
+// SGR style categories, and the codes which close them
+var styleCategories = { 1: 'weight', 2: 'weight', 3: 'italic', 4: 'underline', 5: 'blink', 7: 'inverse', 8: 'hidden', 9: 'strike' };
+var styleClosers = { weight: 22, italic: 23, underline: 24, blink: 25, inverse: 27, hidden: 28, strike: 29, fg: 39, bg: 49 };
+
+var trackStyles = function(state, seq) {
+	// update hash of active styles from an ANSI escape sequence (non-SGR sequences are ignored)
+	var match = seq.match(/^\u001b\[([\d;]*)m$/);
+	if (!match) return;
+	var params = match[1].split(';');
+	
+	for (var idx = 0; idx < params.length; idx++) {
+		var num = parseInt( params[idx] || '0', 10 );
+		var code = '' + num;
+		if ((num == 38) || (num == 48)) {
+			// extended colors: 38;5;N or 38;2;R;G;B
+			var extra = (params[idx + 1] == '2') ? 4 : 2;
+			code = params.slice(idx, idx + 1 + extra).join(';');
+			idx += extra;
+		}
+		
+		var cat = styleCategories[num];
+		if (((num >= 30) && (num <= 38)) || ((num >= 90) && (num <= 97))) cat = 'fg';
+		else if (((num >= 40) && (num <= 48)) || ((num >= 100) && (num <= 107))) cat = 'bg';
+		
+		if (num === 0) {
+			for (var key in state) delete state[key];
+		}
+		else if (cat) {
+			// bold and dim can be active together, everything else replaces
+			state[cat] = ((cat == 'weight') && state.weight ? state.weight : '') + "\u001b[" + code + "m";
+		}
+		else {
+			for (var key in styleClosers) {
+				if (styleClosers[key] === num) delete state[key];
+			}
+		}
+	}
+};
+
+var openStyles = function(state) {
+	// escape sequences to re-open all active styles
+	var codes = '';
+	for (var key in state) codes += state[key];
+	return codes;
+};
+
+var closeStyles = function(state) {
+	// escape sequences to close all active styles
+	var codes = '';
+	for (var key in state) codes += "\u001b[" + styleClosers[key] + "m";
+	return codes;
+};
+
+var splitStyledWords = function(line) {
+	// split line into words, each with the whitespace before it, and units of either ANSI codes or visible characters
+	// ANSI codes found in whitespace are attached to the following word
+	var words = [];
+	var word = null;
+	var sep = '';
+	var codes = [];
+	
+	line.split(/(\u001b\[[\d;?]*[A-Za-z]|\u001b\][^\u0007]*\u0007)/).forEach( function(part, idx) {
+		if (idx % 2) {
+			if (word) word.units.push({ code: part });
+			else codes.push({ code: part });
+			return;
+		}
+		(part.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || []).forEach( function(ch) {
+			if (ch.match(/\s/)) {
+				if (word) { words.push(word); word = null; sep = ''; }
+				sep += ch;
+				return;
+			}
+			if (!word) { word = { sep: sep, units: codes, width: 0, wide: false }; codes = []; }
+			var width = stringWidth(ch);
+			word.units.push({ ch: ch, width: width });
+			word.width += width;
+			if (width > 1) word.wide = true;
+		} );
+	} );
+	
+	if (word) words.push(word);
+	if (codes.length) {
+		// trailing codes stick to the last word
+		if (words.length) words[words.length - 1].units = words[words.length - 1].units.concat(codes);
+		else words.push({ sep: '', units: codes, width: 0, wide: false });
+	}
+	return words;
+};
+
 var cli = module.exports = {
 	
 	// CLI args hash
 	args: args.get(),
 	
+	// raw command-line arguments (used for shell completion)
+	argv: process.argv.slice(2),
+	
+	// aliases passed to mapArgs(), used for shell completion
+	argAliases: {},
+	
+	// i/o streams, replaced in instances from create()
+	stdout: process.stdout,
+	stderr: process.stderr,
+	stdin: process.stdin,
+	
+	// forced tty mode and terminal width (null means detect from stdout)
+	isTTY: null,
+	termWidth: null,
+	
+	// time source and timers for progress bars, replaced by a fake clock in tests
+	clock: {
+		now: function() { return Tools.timeNow(); },
+		setInterval: function(callback, ms) { return setInterval(callback, ms); },
+		clearInterval: function(timer) { clearInterval(timer); }
+	},
+	
 	// expose some 3rd party utilities
 	chalk: chalk,
 	stringWidth: stringWidth,
@@ -33,411 +477,3748 @@ var cli = module.exports = {
 		'(?:(?:\\d{1,4}(?:;\\d{0,4})*)?[\\dA-PR-TZcf-ntqry=><~]))'
 	].join('|'), 'g'),
 	
-	mapArgs: function(aliases) {
-		// apply alias lookup to a set of args
-		// e.g. { 'q':'quiet', 'v':'verbose' }
-		for (var key in aliases) {
-			if (key in this.args) {
-				this.args[ aliases[key] ] = this.args[key];
-				delete this.args[key];
-			}
+	// default color styles for all renderers, override with setTheme()
+	theme: {
+		table: {
+			headerStyles: ["bold", "yellow"],
+			borderStyles: ["gray"],
+			textStyles: ["cyan"],
+			footerStyles: ["bold", "cyan"]
+		},
+		box: {
+			styles: ["gray"],
+			titleStyles: ["bold"]
+		},
+		tree: {
+			folderStyles: ["bold", "yellow"],
+			fileStyles: ["green"],
+			symlinkStyles: ["magenta"],
+			lineStyles: ["gray"],
+			infoStyles: ["gray"]
+		},
+		prompt: {
+			text: ['bold'],
+			hint: ['gray'],
+			filter: ['yellow'],
+			pointer: ['bold', 'cyan'],
+			active: ['cyan'],
+			checked: ['green'],
+			unchecked: ['gray'],
+			answer: ['cyan'],
+			error: ['red']
+		},
+		progress: {
+			spinner: ['bold', 'green'],
+			braces: ['gray'],
+			bar: ['bold', 'cyan'],
+			indeterminate: ['gray'],
+			pct: ['bold', 'yellow'],
+			remain: ['green'],
+			amounts: ['gray'],
+			rate: ['magenta'],
+			label: [],
+			text: []
+		},
+		help: {
+			title: ['bold'],
+			version: ['gray'],
+			required: ['bold']
+		},
+		tasks: {
+			title: [],
+			success: ['green'],
+			failure: ['red'],
+			skipped: ['yellow'],
+			pending: ['gray'],
+			elapsed: ['gray'],
+			output: ['gray'],
+			error: ['red']
+		},
+		json: {
+			key: ['cyan'],
+			string: ['green'],
+			number: ['yellow'],
+			boolean: ['magenta'],
+			null: ['gray'],
+			punctuation: ['gray'],
+			marker: ['gray']
+		},
+		diff: {
+			header: ['bold'],
+			hunk: ['cyan'],
+			added: ['green'],
+			removed: ['red'],
+			changed: ['yellow'],
+			context: []
+		},
+		chart: {
+			label: [],
+			bar: ['cyan'],
+			value: ['gray'],
+			axis: ['gray'],
+			spark: ['cyan']
 		}
 	},
 	
-	tty: function() {
-		// return true if stdout is connected to a TTY, 
-		// i.e. so we can ask the user things
-		return process.stdout.isTTY;
+	setTheme: function(theme) {
+		// merge custom styles into theme, section by section
+		for (var key in theme) {
+			if (!this.theme[key]) this.theme[key] = {};
+			Tools.mergeHashInto( this.theme[key], theme[key] );
+		}
 	},
 	
-	width: function() {
-		// returns current terminal width
-		if (!this.tty()) return 0;
-		return process.stdout.columns;
-	},
+	// color policy: auto, always or never
+	colorMode: 'auto',
+	color: false,
 	
-	prompt: function(text, def, callback) {
-		// prompt user for input, send answer to callback
-		var self = this;
-		if (!this.tty()) return callback(def);
-		var rl = readline.createInterface(process.stdin, process.stdout);
-		
-		if (!text.match(/\s$/)) text += ' ';
-		if (def) text += '[' + def + '] ';
+	setColor: function(mode) {
+		// set color policy and enable or disable all chalk styles to match
+		if (mode === true) mode = 'always';
+		else if (mode === false) mode = 'never';
+		if (!String(mode).match(/^(auto|always|never)$/)) throw new Error("Unknown color mode: " + mode);
 		
-		this.currentPrompt = text;
+		this.colorMode = mode;
+		this.color = (mode == 'auto') ? this.detectColor() : (mode == 'always');
 		
-		rl.question(text, function(answer) {
-			rl.close();
-			delete self.currentPrompt;
-			callback( answer || def );
-		} );
+		this.chalk.enabled = this.color;
+		if (this.color && !this.chalk.level) this.chalk.level = 1;
+		return this.color;
 	},
 	
-	clearPrompt: function() {
-		// erase previous prompt text, if any
-		if (this.currentPrompt) {
-			process.stdout.write( "\r" + this.space( stringWidth(this.currentPrompt) ) + "\r" );
-		}
+	detectColor: function() {
+		// auto-detect color: FORCE_COLOR and NO_COLOR env vars, then check for a real terminal
+		// FORCE_COLOR wins if both are set, same as node itself
+		var env = process.env;
+		if ('FORCE_COLOR' in env) return !env.FORCE_COLOR.match(/^(0|false|no)$/i);
+		if (env.NO_COLOR) return false;
+		if (env.TERM == 'dumb') return false;
+		return !!this.tty();
 	},
 	
-	restorePrompt: function() {
-		// restore previous prompt text, if any
-		if (this.currentPrompt) {
-			process.stdout.write( this.currentPrompt );
+	getColorArg: function() {
+		// get color mode from cli args: --color=MODE, --color MODE or --no-color
+		var mode = 'auto';
+		if ('color' in this.args) mode = this.args.color;
+		for (var key in this.args) {
+			var matches = key.match(/^color=(.+)$/);
+			if (matches) mode = matches[1];
 		}
+		if (this.args['no-color']) mode = 'never';
+		
+		if ((mode === true) || String(mode).match(/^(always|true|yes|on|1)$/i)) return 'always';
+		if ((mode === false) || String(mode).match(/^(never|false|no|off|0)$/i)) return 'never';
+		return 'auto';
 	},
 	
-	yesno: function(text, def, callback) {
-		// prompt user with a yes/no question
-		// callback will be sent a true/false value
-		this.prompt( text.trim() + " (y/n) ", def, function(answer) {
-			callback( answer && answer.match(/y/i) );
+	create: function(opts) {
+		// create independent cli instance with its own streams, args and state
+		// opts: { stdout, stderr, stdin, args, exit, isTTY, columns, color, clock }
+		if (!opts) opts = {};
+		var self = Object.create( cli );
+		
+		self.stdout = opts.stdout || process.stdout;
+		self.stderr = opts.stderr || process.stderr;
+		self.stdin = opts.stdin || process.stdin;
+		if (opts.exit) self.exit = opts.exit;
+		if ('isTTY' in opts) self.isTTY = !!opts.isTTY;
+		if (opts.columns) self.termWidth = opts.columns;
+		if (opts.clock) self.clock = opts.clock;
+		
+		// args may be an argv array to parse, or a pre-parsed hash
+		if (Tools.isaArray(opts.args)) self.args = new Args( opts.args ).get();
+		else self.args = opts.args ? Tools.copyHash(opts.args) : new Args().get();
+		self.argv = Tools.isaArray(opts.args) ? opts.args : (opts.args ? [] : process.argv.slice(2));
+		
+		// reset all state, so nothing is shared with the parent
+		self.argSchema = {};
+		self.argAliases = {};
+		self.commands = {};
+		self.theme = deepCopy( cli.theme );
+		
+		// private copies of all settings, so tweaking one instance never affects another
+		['selectDefaults', 'selectAsciiOverrides', 'taskDefaults', 'taskAsciiOverrides', 'chartDefaults', 'inspectDefaults', 'borders', 'formats', 'logLevels', 'logDefaults', 'logPeriodFormats'].forEach( function(key) {
+			self[key] = deepCopy( cli[key] );
+		} );
+		
+		self.config = null;
+		self.configSources = null;
+		self.processHooks = [];
+		self.logFile = null;
+		self.logArgs = null;
+		self.logSize = 0;
+		self.logPeriod = '';
+		self.logBuffer = [];
+		self.logTimer = null;
+		self.logWriting = false;
+		self.logPending = null;
+		self.logExitHook = null;
+		self.currentPrompt = null;
+		self.activeRepl = null;
+		self.ttyStream = null;
+		
+		self.progress = Object.create( cli.progress );
+		self.progress.cli = self;
+		self.progress.defaults = deepCopy( cli.progress.defaults );
+		self.progress.asciiOverrides = deepCopy( cli.progress.asciiOverrides );
+		self.progress.hooks = [];
+		self.progress.args = {};
+		self.progress.running = false;
+		self.progress.plain = false;
+		self.progress.timer = null;
+		self.progress.lastLine = '';
+		self.progress.activeGroup = null;
+		
+		// separate chalk instance, so color can be toggled per instance
+		self.chalk = new chalk.constructor({ level: chalk.level || 1 });
+		chalkStyles.forEach( function(key) {
+			self[key] = self.chalk[key];
 		} );
+		self.setColor( ('color' in opts) ? opts.color : self.getColorArg() );
+		
+		return self;
 	},
 	
-	repeat: function(text, amount) {
-		// repeat string by specified number of times
-		if (!amount || (amount < 0)) return "";
-		return repeating(amount, ''+text);
+	exit: function(code) {
+		// exit process with code (instances may override this)
+		process.exit(code);
 	},
 	
-	space: function(amount) {
-		// generate some amount of whitespace
-		return this.repeat(" ", amount);
+	// process event handlers registered via hookProcess()
+	processHooks: [],
+	
+	hookProcess: function(event, handler) {
+		// register one-time process event handler (e.g. exit or SIGINT) owned by this instance
+		this.processHooks.push({ event: event, handler: handler });
+		process.once( event, handler );
+		return handler;
 	},
 	
-	pad: function(text, width) {
-		// pad a string with spaces on right side to take up specified width
-		return text + this.space(width - stringWidth(text));
+	unhookProcess: function(handler) {
+		// remove process event handler registered via hookProcess(), if it hasn't fired yet
+		this.processHooks = this.processHooks.filter( function(hook) {
+			if (hook.handler !== handler) return true;
+			process.removeListener( hook.event, hook.handler );
+			return false;
+		} );
 	},
 	
-	center: function(text, width) {
-		// center string horizontally
+	mapArgs: function(aliases) {
+		// apply alias lookup to a set of args
+		// e.g. { 'q':'quiet', 'v':'verbose' }
+		Tools.mergeHashInto( this.argAliases, aliases );
+		for (var key in aliases) {
+			if (key in this.args) {
+				this.args[ aliases[key] ] = this.args[key];
+				delete this.args[key];
+			}
+		}
+	},
+	
+	// registered commands for dispatch()
+	commands: {},
+	
+	command: function(name, opts) {
+		// register command for dispatch(), separate nested subcommands with spaces
+		// e.g. cli.command( "db migrate", { description, args, aliases, handler } )
 		var self = this;
-		text = text.toString().trim();
-		if (!width) width = widestLine(text);
+		if (typeof(opts) == 'function') opts = { handler: opts };
+		if (!opts) opts = {};
 		
-		// recurse for multi-line text blobs
-		if (text.match(/\n/)) {
-			return text.split(/\n/).map(function(line) {
-				return self.center(line, width);
-			}).join("\n");
-		} // multi-line
+		var words = name.trim().split(/\s+/);
+		var cmd = { commands: this.commands };
 		
-		var margin = Math.floor( (width - stringWidth(text)) / 2 );
-		var output = this.space(margin) + text;
-		var remain = width - stringWidth(output);
-		output += this.space(remain);
-		return output;
+		words.forEach( function(word, idx) {
+			if (!cmd.commands[word]) {
+				cmd.commands[word] = { name: words.slice(0, idx + 1).join(' '), aliases: [], args: {}, commands: {} };
+			}
+			cmd = cmd.commands[word];
+		} );
+		
+		for (var key in opts) {
+			if (key != 'commands') cmd[key] = opts[key];
+		}
+		if (typeof(cmd.aliases) == 'string') cmd.aliases = [ cmd.aliases ];
+		
+		// nested subcommands may also be passed in as a hash
+		if (opts.commands) {
+			for (var sub in opts.commands) {
+				self.command( cmd.name + ' ' + sub, opts.commands[sub] );
+			}
+		}
+		
+		return cmd;
 	},
 	
-	wrap: function(text, width) {
-		// return word-wrapped text block
-		return wordWrap( text, {
-			width: width,
-			indent: "",
-			newline: "\n",
-			trim: true,
-			cut: false
-		} );
+	findCommand: function(parent, word) {
+		// locate subcommand by name or alias
+		if (!parent.commands) return null;
+		if (parent.commands[word]) return parent.commands[word];
+		
+		for (var key in parent.commands) {
+			if (parent.commands[key].aliases.indexOf(word) > -1) return parent.commands[key];
+		}
+		return null;
 	},
 	
-	box: function(text, args) {
-		// ┌───────────────────────────────────────┐
-		// │  Wrap a text string in an ASCII box.  │
-		// └───────────────────────────────────────┘
+	dispatch: function(opts) {
+		// route cli.args.other to the matching registered command handler
+		// also handles `--help` and `help COMMAND`
 		var self = this;
-		text = text.toString();
+		if (!opts) opts = {};
 		
-		if (!args) args = {};
-		var width = args.width || 0;
-		var hspace = ("hspace" in args) ? args.hspace : 1;
-		var vspace = args.vspace || 0;
-		var styles = args.styles || ["gray"];
-		var indent = args.indent || "";
-		if (typeof(indent) == 'number') indent = cli.space(indent);
+		var args = this.args;
+		releaseSwitches( args, this.argv, this.booleanArgs({ commands: this.commands }, opts.args), this.argAliases );
+		var words = args.other ? [].concat(args.other) : [];
+		var help = !!args.help;
 		
-		var output = [];
+		// hidden entry point for shell completion scripts
+		if (this.argv[0] === '__complete') return this.printCompletions( this.argv.slice(1), opts );
+		var cmd = { commands: this.commands };
 		
-		// calc width / wrap text
-		if (width) text = this.wrap(text, width);
-		else width = widestLine(text);
-		width += (hspace * 2);
+		if (!help && (words[0] === 'help') && !this.findCommand(cmd, 'help')) {
+			help = true;
+			words.shift();
+		}
 		
-		// top border
-		output.push( indent + this.applyStyles("┌" + this.repeat("─", width) + "┐", styles) );
+		// walk down the command tree, consuming words as we go
+		while (words.length) {
+			var sub = this.findCommand(cmd, words[0]);
+			if (!sub) break;
+			cmd = sub;
+			words.shift();
+		}
 		
-		// left, content, right
-		var lines = text.split(/\n/);
-		while (vspace-- > 0) {
-			lines.unshift( "" );
-			lines.push( "" );
+		var unknown = words.length && Tools.numKeys(cmd.commands) && (help || !cmd.handler);
+		if (unknown) {
+			var msg = "Unknown command: " + (cmd.name ? cmd.name + ' ' : '') + words[0] + "\n";
+			var suggest = this.suggestCommand(cmd, words[0]);
+			if (suggest) msg += "Did you mean: " + (cmd.name ? cmd.name + ' ' : '') + suggest + "?\n";
+			return this.die(msg);
 		}
-		lines.forEach( function(line) {
-			line = self.space(hspace) + line + self.space(hspace);
-			output.push(
-				indent + 
-				self.applyStyles("│", styles) + 
-				self.pad(line, width) + 
-				self.applyStyles("│", styles) 
-			);
-		} );
 		
-		// bottom border
-		output.push( indent + this.applyStyles("└" + this.repeat("─", width) + "┘", styles) );
+		if (help || !cmd.handler) {
+			this.print( this.commandHelp(cmd.name ? cmd : null, opts) + "\n" );
+			return;
+		}
 		
-		return output.join("\n");
+		// apply aliases, types, defaults and validation from app and command definitions
+		args.other = words;
+		this.defineArgs( Tools.mergeHashes(opts.args || {}, cmd.args) );
+		
+		var result = cmd.handler.call( this, args, cmd );
+		if (result && (typeof(result.then) == 'function')) {
+			result = result.then( null, function(err) {
+				self.die( (err && err.message ? err.message : err) + "\n" );
+			} );
+		}
+		return result;
 	},
 	
-	applyStyles: function(text, styles) {
-		// apply one or more chalk styles or functions to text string
-		if (!styles) return text;
-		styles.forEach( function(style) {
-			if (typeof style === 'function') {
-				text = style( text );
-			} else {
-				text = chalk[style]( text );
+	booleanArgs: function(tree, schema) {
+		// collect names and aliases of all boolean args, from app schema and command tree
+		var self = this;
+		var names = { help: 1 };
+		var scan = function(schema) {
+			for (var key in schema) {
+				if (!schema[key] || (schema[key].type != 'boolean')) continue;
+				names[key] = 1;
+				if (schema[key].alias) names[ schema[key].alias ] = 1;
 			}
-		} );
-		return text;
+		};
+		var walk = function(cmd) {
+			scan( cmd.args );
+			for (var key in cmd.commands) walk( cmd.commands[key] );
+		};
+		
+		scan( schema || {} );
+		walk( tree );
+		
+		for (var alias in this.argAliases) {
+			if (names[ this.argAliases[alias] ]) names[alias] = 1;
+		}
+		return names;
 	},
 	
-	tree: function(dir, indent, args) {
-		// render dir/file tree view based on array of files/dirs
-		var self = this;
-		if (!dir) dir = ".";
-		if (!indent) indent = "";
-		if (!args) args = {};
-		var output = [];
+	suggestCommand: function(parent, word) {
+		// find closest command name or alias for "did you mean" hints
+		var best = '';
+		var bestDist = Math.max( 2, Math.floor(word.length / 2) ) + 1;
 		
-		args.folderStyles = args.folderStyles || ["bold", "yellow"];
-		args.fileStyles = args.fileStyles || ["green"];
-		args.symlinkStyles = args.symlinkStyles || ["purple"];
-		args.lineStyles = args.lineStyles || ["gray"];
-		args.includeFilter = args.includeFilter || /./;
+		for (var key in parent.commands) {
+			var cmd = parent.commands[key];
+			if (cmd.hidden) continue;
+			[key].concat(cmd.aliases).forEach( function(name) {
+				var dist = editDistance( word.toLowerCase(), name.toLowerCase() );
+				if (dist < bestDist) { best = key; bestDist = dist; }
+			} );
+		}
+		return best;
+	},
+	
+	commandHelp: function(cmd, opts) {
+		// render help text for app (no cmd) or specific command
+		if (!opts) opts = {};
+		var name = opts.name || path.basename( process.argv[1] || 'app', '.js' );
+		var output = [];
+		
+		if (!cmd) {
+			// app-level header in a box
+			var title = this.applyStyles(name, this.theme.help.title) + (opts.version ? (' ' + this.applyStyles('v' + opts.version, this.theme.help.version)) : '');
+			output.push( this.box( title + (opts.description ? ("\n" + opts.description) : '') ) );
+			output.push( "" );
+			output.push( "Usage: " + name + " <command> [options]" );
+			cmd = { commands: this.commands, args: opts.args || {} };
+		}
+		else {
+			output.push( "Usage: " + name + " " + (cmd.usage || (cmd.name + (Tools.numKeys(cmd.commands) ? " <command>" : "") + " [options]")) );
+			if (cmd.description) output.push( "", cmd.description );
+			if (cmd.aliases.length) output.push( "", "Aliases: " + cmd.aliases.join(', ') );
+		}
+		
+		// subcommand list
+		var rows = [ ["Command", "Aliases", "Description"] ];
+		for (var key in cmd.commands) {
+			var sub = cmd.commands[key];
+			if (sub.hidden) continue;
+			rows.push([ sub.name, sub.aliases.join(', '), sub.description || '' ]);
+		}
+		if (rows.length > 1) {
+			output.push( "" );
+			output.push( this.table(rows, { autoFit: true }) );
+		}
+		
+		// argument list
+		var schema = Tools.mergeHashes( cmd.args, { help: 'Show this help text.' } );
+		output.push( "" );
+		output.push( this.argsUsage(schema) );
+		
+		if (!cmd.name && Tools.numKeys(cmd.commands)) {
+			output.push( "" );
+			output.push( "Run '" + name + " help <command>' for help on a specific command." );
+		}
+		
+		return output.join("\n");
+	},
+	
+	completionScript: function(shell, opts) {
+		// generate completion script for bash, zsh or fish
+		// scripts call back into the app via the hidden `__complete` command
+		if (!opts) opts = {};
+		var name = opts.name || path.basename( process.argv[1] || 'app', '.js' );
+		var func = '_' + name.replace(/\W+/g, '_') + '_complete';
+		
+		switch (shell) {
+			case 'bash': return [
+				"# bash completion for " + name,
+				"# add to ~/.bashrc: eval \"$(" + name + " completion bash)\"",
+				func + "() {",
+				"\tlocal IFS=$'\\n'",
+				"\tCOMPREPLY=( $(" + name + " __complete \"${COMP_WORDS[@]:1:COMP_CWORD}\" 2>/dev/null | cut -f1) )",
+				"}",
+				"complete -o default -F " + func + " " + name,
+				""
+			].join("\n");
+			
+			case 'zsh': return [
+				"#compdef " + name,
+				"# add to ~/.zshrc: eval \"$(" + name + " completion zsh)\"",
+				func + "() {",
+				"\tlocal -a items",
+				"\tlocal line value",
+				"\tfor line in \"${(@f)$(" + name + " __complete \"${(@)words[2,CURRENT]}\" 2>/dev/null)}\"; do",
+				"\t\t[[ -z \"$line\" ]] && continue",
+				"\t\tvalue=${line%%$'\\t'*}",
+				"\t\tvalue=${value//:/\\\\:}",
+				"\t\tif [[ \"$line\" == *$'\\t'* ]]; then items+=(\"$value:${line#*$'\\t'}\"); else items+=(\"$value\"); fi",
+				"\tdone",
+				"\tif (( ${#items} )); then _describe 'values' items; else _files; fi",
+				"}",
+				"compdef " + func + " " + name,
+				""
+			].join("\n");
+			
+			case 'fish': return [
+				"# fish completion for " + name,
+				"# add to ~/.config/fish/completions/" + name + ".fish, or: " + name + " completion fish | source",
+				"function " + func,
+				"\tset -l tokens (commandline -opc)",
+				"\tset -l current (commandline -ct)",
+				"\tset -l items (" + name + " __complete $tokens[2..-1] \"$current\" 2>/dev/null)",
+				"\tif test (count $items) -eq 0",
+				"\t\t__fish_complete_path \"$current\"",
+				"\telse",
+				"\t\tprintf '%s\\n' $items",
+				"\tend",
+				"end",
+				"complete -c " + name + " -f -a '(" + func + ")'",
+				""
+			].join("\n");
+		}
+		
+		throw new Error("Unknown shell for completion: " + shell + " (must be one of: bash, zsh, fish)");
+	},
+	
+	getCompletions: function(words, opts) {
+		// get completion candidates for partial command-line (words after app name, last one is being typed)
+		// resolves with array of { value, description }
+		var self = this;
+		if (!opts) opts = {};
+		words = [].concat(words);
+		var current = words.length ? words.pop() : '';
+		var cmd = { commands: opts.commands || this.commands, args: {} };
+		var schema = Tools.mergeHashes( opts.args || {}, {} );
+		var expecting = null;
+		var positional = [];
+		
+		var findOption = function(word) {
+			// find schema key for --name or -alias
+			var key = word.replace(/^\-+/, '').replace(/=.*$/, '');
+			if (schema[key]) return key;
+			for (var name in schema) {
+				if (schema[name] && (schema[name].alias === key)) return name;
+			}
+			return self.argAliases[key] || null;
+		};
+		
+		// walk the words typed so far, descending into subcommands and skipping option values
+		words.forEach( function(word) {
+			if (expecting) { expecting = null; return; }
+			if (word.match(/^\-/)) {
+				var key = findOption(word);
+				var def = key ? schema[key] : null;
+				if (def && (typeof(def) == 'object') && (def.type != 'boolean') && (def.type || def.choices || def.complete) && !word.match(/=/)) expecting = key;
+				return;
+			}
+			var sub = !positional.length ? self.findCommand(cmd, word) : null;
+			if (sub) {
+				cmd = sub;
+				schema = Tools.mergeHashes( schema, sub.args || {} );
+			}
+			else positional.push( word );
+		} );
+		
+		var items = [];
+		var ctx = { words: words, command: cmd.name || '', args: positional };
+		
+		if (expecting) {
+			// completing value for option
+			var def = schema[expecting];
+			if (def.complete) items = def.complete.call( this, current, ctx );
+			else if (def.choices) items = def.choices;
+		}
+		else if (current.match(/^\-/)) {
+			// completing option names
+			var aliases = {};
+			for (var key in this.argAliases) aliases[ this.argAliases[key] ] = key;
+			
+			for (var key in schema) {
+				var def = (typeof(schema[key]) == 'string') ? { description: schema[key] } : schema[key];
+				if (!def || def.hidden) continue;
+				items.push({ value: '--' + key, description: def.description || '' });
+				if (def.alias) items.push({ value: ((def.alias.length == 1) ? '-' : '--') + def.alias, description: def.description || '' });
+			}
+			for (var key in this.argAliases) {
+				items.push({ value: ((key.length == 1) ? '-' : '--') + key, description: '--' + this.argAliases[key] });
+			}
+			items.push({ value: '--help', description: 'Show this help text.' });
+		}
+		else if (!positional.length && Tools.numKeys(cmd.commands)) {
+			// completing subcommand names
+			for (var key in cmd.commands) {
+				var sub = cmd.commands[key];
+				if (!sub.hidden) items.push({ value: key, description: sub.description || '' });
+			}
+			if (!cmd.name && !this.findCommand(cmd, 'help')) items.push({ value: 'help', description: 'Show help for a command.' });
+		}
+		else if (cmd.complete) {
+			// completing positional args via app callback
+			items = cmd.complete.call( this, current, ctx );
+		}
+		
+		return Promise.resolve( items ).then( function(items) {
+			return (items || []).map( function(item) {
+				return (typeof(item) == 'object') ? item : { value: '' + item, description: '' };
+			} ).filter( function(item) {
+				return item.value.indexOf(current) === 0;
+			} );
+		} );
+	},
+	
+	printCompletions: function(words, opts) {
+		// print completion candidates one per line, with optional tab-separated description
+		var self = this;
+		return this.getCompletions( words, opts ).then( function(items) {
+			items.forEach( function(item) {
+				self.stdout.write( item.value + (item.description ? ("\t" + self.stripColor(item.description).replace(/\s+/g, ' ')) : '') + "\n" );
+			} );
+		} );
+	},
+	
+	completeFiles: function(partial, opts) {
+		// complete file paths matching partial, for use in complete() callbacks
+		// opts.dirsOnly to only list directories, opts.filter to match filenames with regexp
+		if (!opts) opts = {};
+		partial = partial || '';
+		var dir = partial.match(/\/$/) ? partial : path.dirname(partial);
+		var prefix = partial.match(/\/$/) ? '' : path.basename(partial);
+		var base = (dir == '.') && !partial.match(/^\.\//) ? '' : (dir.replace(/\/$/, '') + '/');
+		var items = [];
+		
+		try {
+			fs.readdirSync( dir || '.' ).forEach( function(filename) {
+				if (filename.indexOf(prefix) !== 0) return;
+				if (!prefix.match(/^\./) && filename.match(/^\./)) return;
+				var isDir = false;
+				try { isDir = fs.statSync( path.join(dir, filename) ).isDirectory(); } catch (err) {;}
+				if (opts.dirsOnly && !isDir) return;
+				if (opts.filter && !isDir && !filename.match(opts.filter)) return;
+				items.push( base + filename + (isDir ? '/' : '') );
+			} );
+		}
+		catch (err) {;}
+		
+		return items.sort();
+	},
+	
+	// last schema passed to defineArgs(), used for argsUsage()
+	argSchema: {},
+	
+	defineArgs: function(schema) {
+		// apply schema to cli.args (aliases, types, defaults, validation)
+		// e.g. { port: { type: 'number', default: 80, alias: 'p' }, env: { choices: ['dev', 'prod'], required: true } }
+		// dies with a list of all problems found
+		this.argSchema = schema;
+		var errors = this.validateArgs(schema);
+		
+		if (errors.length) {
+			this.die(
+				"Error: Found " + errors.length + " " + this.pluralize("problem", errors.length) + " with command-line arguments:\n" + 
+				errors.map( function(err) { return "  - " + err + "\n"; } ).join('')
+			);
+		}
+		return this.args;
+	},
+	
+	validateArgs: function(schema, args) {
+		// coerce and validate args against schema in place, return array of error strings
+		var self = this;
+		var errors = [];
+		var groups = {};
+		var aliases = {};
+		
+		if (!args) {
+			// keep boolean switches from swallowing the next positional arg
+			args = this.args;
+			releaseSwitches( args, this.argv, this.booleanArgs({}, schema), this.argAliases );
+		}
+		
+		for (var key in schema) {
+			if (schema[key] && schema[key].alias) aliases[ schema[key].alias ] = key;
+		}
+		for (var alias in aliases) {
+			if (alias in args) {
+				args[ aliases[alias] ] = args[alias];
+				delete args[alias];
+			}
+		}
+		
+		for (var key in schema) {
+			var def = schema[key];
+			if (!def || (typeof(def) != 'object')) continue;
+			var label = '--' + key;
+			
+			if (!(key in args)) {
+				if ('default' in def) args[key] = def.default;
+				else if (def.required) errors.push( label + ": Required argument is missing." );
+				continue;
+			}
+			
+			var value = def.type ? this.coerceArg( args[key], def.type ) : args[key];
+			if (value instanceof Error) {
+				errors.push( label + ": " + value.message );
+				continue;
+			}
+			
+			if (def.choices) {
+				var bad = Tools.alwaysArray(value).filter( function(item) { return def.choices.indexOf(item) == -1; } );
+				if (bad.length) {
+					errors.push( label + ": Invalid value \"" + bad[0] + "\" (must be one of: " + def.choices.join(', ') + ")." );
+					continue;
+				}
+			}
+			
+			if (def.exclusive) {
+				if (!groups[def.exclusive]) groups[def.exclusive] = [];
+				groups[def.exclusive].push( label );
+			}
+			
+			args[key] = value;
+		}
+		
+		// mutually exclusive groups
+		for (var group in groups) {
+			if (groups[group].length > 1) {
+				errors.push( groups[group].join(', ') + ": These arguments cannot be used together." );
+			}
+		}
+		
+		return errors;
+	},
+	
+	coerceArg: function(value, type) {
+		// convert arg value to specified type, return Error object on failure
+		if (type == 'list') {
+			// accept repeated switches and/or comma-separated values
+			var list = [];
+			Tools.alwaysArray(value).forEach( function(item) {
+				if (item === true) return;
+				list = list.concat( ('' + item).split(/\s*,\s*/).filter( function(str) { return str.length; } ) );
+			} );
+			return list;
+		}
+		
+		// for all other types, last one wins when switch is repeated
+		if (Tools.isaArray(value)) value = value[ value.length - 1 ];
+		if ((value === true) && (type != 'boolean')) return new Error("Expected a value.");
+		
+		switch (type) {
+			case 'boolean':
+				if ((value === true) || (value === 1) || ('' + value).match(/^(true|yes|y|on|1)$/i)) return true;
+				if ((value === false) || (value === 0) || ('' + value).match(/^(false|no|n|off|0)$/i)) return false;
+				return new Error("Expected a boolean, got \"" + value + "\".");
+			
+			case 'number':
+			case 'integer':
+				if (!('' + value).match(/^\s*[\-\+]?(\d+\.?\d*|\.\d+)(e[\-\+]?\d+)?\s*$/i)) {
+					return new Error("Expected a number, got \"" + value + "\".");
+				}
+				value = parseFloat(value);
+				if ((type == 'integer') && (Math.floor(value) !== value)) {
+					return new Error("Expected an integer, got \"" + value + "\".");
+				}
+				return value;
+			
+			case 'duration':
+			case 'bytes':
+				if (!('' + value).match(/^(\s*\d+(\.\d+)?\s*[a-z]*\s*)+$/i)) {
+					return new Error("Expected a " + ((type == 'bytes') ? "byte size (e.g. 5 MB)" : "duration (e.g. 5 minutes)") + ", got \"" + value + "\".");
+				}
+				return (type == 'bytes') ? Tools.getBytesFromText(value) : Tools.getSecondsFromText(value);
+			
+			default:
+				return '' + value;
+		}
+	},
+	
+	argsUsage: function(schema) {
+		// render table of args from schema, for usage / help text
+		if (!schema) schema = this.argSchema;
+		var has_types = false;
+		var has_defaults = false;
+		var rows = [];
+		
+		for (var key in schema) {
+			var def = schema[key];
+			if (typeof(def) == 'string') def = { description: def };
+			if (def.hidden) continue;
+			
+			var desc = def.description || '';
+			if (def.choices) desc += (desc ? ' ' : '') + '(' + def.choices.join(', ') + ')';
+			if (def.required) desc += (desc ? ' ' : '') + this.applyStyles('(required)', this.theme.help.required);
+			
+			if (def.type) has_types = true;
+			if ('default' in def) has_defaults = true;
+			
+			rows.push([ '--' + key, def.alias ? ('-' + def.alias) : '', def.type || '', ('default' in def) ? ('' + def.default) : '', desc ]);
+		}
+		
+		// only include type and default columns if used
+		rows.unshift([ "Option", "Alias", "Type", "Default", "Description" ]);
+		rows = rows.map( function(cols) {
+			return cols.filter( function(col, idx) {
+				return ((idx != 2) || has_types) && ((idx != 3) || has_defaults);
+			} );
+		} );
+		
+		return this.table( rows, { autoFit: true } );
+	},
+	
+	tty: function() {
+		// return true if stdout is connected to a TTY, 
+		// i.e. so we can ask the user things
+		if (this.isTTY !== null) return this.isTTY;
+		return this.stdout.isTTY;
+	},
+	
+	width: function() {
+		// returns current terminal width
+		if (!this.tty()) return 0;
+		return this.termWidth || this.stdout.columns;
+	},
+	
+	piped: function() {
+		// return true if stdin is piped from a file or another process, i.e. not a terminal
+		return !this.stdin.isTTY;
+	},
+	
+	// controlling terminal opened by ttyInput(), false if unavailable
+	ttyStream: null,
+	
+	ttyInput: function() {
+		// stream to read answers and keypresses from: stdin, or the controlling terminal if stdin is piped
+		// so prompts still work in the middle of a pipeline (e.g. `cat ids.txt | mytool`)
+		if (!this.piped() || (this.stdin !== process.stdin)) return this.stdin;
+		
+		if (this.ttyStream === null) {
+			try {
+				// only hold the process open while actually reading from the terminal
+				var stream = this.ttyStream = new tty.ReadStream( fs.openSync('/dev/tty', 'r') );
+				stream.on('pause', function() { stream.unref(); });
+				stream.on('resume', function() { stream.ref(); });
+				stream.unref();
+			}
+			catch (err) { this.ttyStream = false; }
+		}
+		return this.ttyStream || this.stdin;
+	},
+	
+	prompt: function(text, def, callback) {
+		// prompt user for input, send answer to callback
+		var self = this;
+		if (!this.tty()) return callback(def);
+		
+		// reuse repl interface if one is active, as two interfaces cannot share stdin
+		var repl = this.activeRepl;
+		var rl = repl ? repl.rl : readline.createInterface(this.ttyInput(), this.stdout);
+		
+		if (!text.match(/\s$/)) text += ' ';
+		if (def) text += '[' + def + '] ';
+		
+		this.currentPrompt = text;
+		
+		rl.question(text, function(answer) {
+			if (repl) {
+				// keep answers out of the repl history
+				if (rl.history && (rl.history[0] === answer)) rl.history.shift();
+				rl.pause();
+			}
+			else rl.close();
+			delete self.currentPrompt;
+			callback( answer || def );
+		} );
+	},
+	
+	clearPrompt: function() {
+		// erase previous prompt text, if any
+		if (this.activeRepl && this.activeRepl.idle) {
+			this.stdout.write( "\r\u001b[K" );
+		}
+		else if (this.currentPrompt) {
+			this.stdout.write( "\r" + this.space( stringWidth(this.currentPrompt) ) + "\r" );
+		}
+	},
+	
+	restorePrompt: function() {
+		// restore previous prompt text, if any
+		if (this.activeRepl && this.activeRepl.idle) {
+			this.activeRepl.rl.prompt(true);
+		}
+		else if (this.currentPrompt) {
+			this.stdout.write( this.currentPrompt );
+		}
+	},
+	
+	yesno: function(text, def, callback) {
+		// prompt user with a yes/no question
+		// callback will be sent a true/false value
+		this.prompt( text.trim() + " (y/n) ", def, function(answer) {
+			callback( answer && answer.match(/y/i) );
+		} );
+	},
+	
+	ask: function(text, opts) {
+		// promise-based prompt with transforms, validation and re-ask loop
+		// opts: { default, required, transform, validate, error, nonTTY, arg, env }
+		var self = this;
+		if (!opts || (typeof(opts) != 'object')) opts = { default: opts };
+		var def = ('default' in opts) ? opts.default : '';
+		
+		return new Promise( function(resolve, reject) {
+			// answer may be provided ahead of time by an arg or env var
+			var preset = self.presetAnswer(opts);
+			if (preset !== undefined) {
+				var result = self.checkAnswer(preset, opts);
+				if (!result.error) return resolve( result.value );
+				if (!self.tty()) return reject( new Error(result.error) );
+			}
+			
+			if (!self.tty()) {
+				// no terminal, so apply non-tty policy
+				if (opts.nonTTY == 'error') {
+					return reject( new Error("Cannot prompt for input, not connected to a terminal: " + text.trim()) );
+				}
+				var result = self.checkAnswer(def, opts);
+				return result.error ? reject( new Error(result.error) ) : resolve( result.value );
+			}
+			
+			var loop = function() {
+				self.prompt( text, def, function(answer) {
+					// user transforms and validators may throw, which must reject (not crash)
+					var result;
+					try { result = self.checkAnswer(answer, opts); }
+					catch (err) { return reject(err); }
+					
+					if (result.error) {
+						self.warnln( self.applyStyles(result.error, self.theme.prompt.error) );
+						return loop();
+					}
+					resolve( result.value );
+				} );
+			};
+			loop();
+		} );
+	},
+	
+	presetAnswer: function(opts) {
+		// return answer provided ahead of time via arg or env var, if any
+		if (opts.arg && (opts.arg in this.args)) return '' + this.args[ opts.arg ];
+		if (opts.env && (opts.env in process.env)) return process.env[ opts.env ];
+		return undefined;
+	},
+	
+	checkAnswer: function(answer, opts) {
+		// transform and validate answer for ask(), return object with value or error
+		var value = (answer === undefined) ? '' : answer;
+		var transforms = opts.transform ? Tools.alwaysArray(opts.transform) : [];
+		
+		for (var idx = 0, len = transforms.length; idx < len; idx++) {
+			var func = transforms[idx];
+			if (typeof(func) == 'function') value = func(value);
+			else if (func == 'trim') value = ('' + value).trim();
+			else if (func == 'lowercase') value = ('' + value).toLowerCase();
+			else if (func == 'uppercase') value = ('' + value).toUpperCase();
+			else if (func == 'number') {
+				if (!('' + value).match(/^\s*[\-\+]?(\d+\.?\d*|\.\d+)\s*$/)) return { error: "Please enter a number." };
+				value = parseFloat(value);
+			}
+		}
+		
+		if (opts.required && ((value === '') || (value === null))) {
+			return { error: opts.error || "A value is required." };
+		}
+		
+		if (opts.validate) {
+			var result = (opts.validate instanceof RegExp) ? !!('' + value).match(opts.validate) : opts.validate(value);
+			if (typeof(result) == 'string') return { error: result };
+			if (!result) return { error: opts.error || "Invalid value, please try again." };
+		}
+		
+		return { value: value };
+	},
+	
+	confirm: function(text, opts) {
+		// promise-based yes/no question with strict answer parsing
+		// resolves with true or false, re-asks on anything other than yes/no
+		if (!opts || (typeof(opts) != 'object')) opts = { default: opts };
+		var def = opts.default;
+		if (def === true) def = 'y';
+		else if (def === false) def = 'n';
+		
+		if (!def && !this.tty() && (this.presetAnswer(opts) === undefined)) {
+			// no terminal and nothing to fall back on, so report that (rather than a bad answer)
+			return Promise.reject( new Error("Cannot ask for confirmation, not connected to a terminal and no default answer: " + text.trim()) );
+		}
+		
+		return this.ask( text.trim() + " (y/n) ", Tools.mergeHashes(opts, {
+			default: def || '',
+			transform: ['trim', 'lowercase'],
+			validate: /^(y|yes|n|no)$/,
+			error: opts.error || "Please answer yes or no."
+		}) ).then( function(answer) {
+			return !!answer.match(/^y/);
+		} );
+	},
+	
+	// interactive select / multiSelect / password settings
+	selectDefaults: {
+		pointer: '❯',
+		checked: '◉',
+		unchecked: '◯',
+		mask: '*',
+		pageSize: 10,
+		color: true,
+		unicode: true
+	},
+	selectAsciiOverrides: {
+		pointer: '>',
+		checked: '[x]',
+		unchecked: '[ ]'
+	},
+	
+	select: function(text, choices, opts) {
+		// prompt user to pick one item from a list, resolves with its value
+		return this.selectPrompt( text, choices, opts, false );
+	},
+	
+	multiSelect: function(text, choices, opts) {
+		// prompt user to toggle any number of items in a list, resolves with array of values
+		return this.selectPrompt( text, choices, opts, true );
+	},
+	
+	selectPrompt: function(text, choices, opts, multi) {
+		// shared implementation for select() and multiSelect()
+		// arrow keys to move, type to filter, space to toggle, enter to accept
+		var self = this;
+		if (Tools.isaArray(text)) { opts = choices; choices = text; text = ""; }
+		
+		// copy defaults and apply user overrides
+		var args = Tools.copyHash( this.selectDefaults );
+		Tools.mergeHashInto( args, opts || {} );
+		args.styles = Tools.mergeHashes( this.theme.prompt, args.styles || {} );
+		if (!args.color) args.styles = {};
+		if (!args.unicode) Tools.mergeHashInto( args, this.selectAsciiOverrides );
+		
+		var items = choices.map( function(choice) {
+			if (typeof(choice) != 'object') return { label: '' + choice, value: choice };
+			var label = ('label' in choice) ? choice.label : choice.value;
+			return { label: '' + label, value: ('value' in choice) ? choice.value : label };
+		} );
+		
+		// apply defaults
+		var cursor = 0;
+		var defs = ('default' in args) ? Tools.alwaysArray(args.default) : [];
+		items.forEach( function(item, idx) {
+			if (defs.indexOf(item.value) == -1) return;
+			if (multi) item.checked = true;
+			else cursor = idx;
+		} );
+		
+		var answer = function() {
+			// current answer based on cursor or checked items
+			if (multi) return items.filter( function(item) { return item.checked; } ).map( function(item) { return item.value; } );
+			return items.length ? items[cursor].value : undefined;
+		};
+		
+		var findItem = function(str) {
+			// locate item by label or value, for presets
+			str = ('' + str).trim().toLowerCase();
+			return items.filter( function(item) {
+				return (item.label.toLowerCase() == str) || (('' + item.value).toLowerCase() == str);
+			} )[0];
+		};
+		
+		return new Promise( function(resolve, reject) {
+			// answer may be provided ahead of time by an arg or env var
+			var preset = self.presetAnswer(args);
+			if (preset !== undefined) {
+				var found = (multi ? preset.split(/\s*,\s*/) : [preset]).filter( function(str) { return str.length; } ).map( findItem );
+				if (found.length && (found.indexOf(undefined) == -1)) {
+					return resolve( multi ? found.map( function(item) { return item.value; } ) : found[0].value );
+				}
+				if (!self.tty()) return reject( new Error("Invalid choice: " + preset) );
+			}
+			
+			if (!self.tty()) {
+				// no terminal, so apply non-tty policy
+				if (args.nonTTY == 'error') {
+					return reject( new Error("Cannot prompt for input, not connected to a terminal: " + text.trim()) );
+				}
+				return resolve( multi ? answer() : args.default );
+			}
+			
+			if (!self.canReadKeys()) {
+				// no raw mode, fall back to numbered list
+				items.forEach( function(item, idx) {
+					self.println( self.applyStyles("  " + (idx + 1) + ") ", args.styles.hint) + item.label );
+				} );
+				var nums = multi ? items.map( function(item, idx) { return item.checked ? (idx + 1) : 0; } ).filter( function(num) { return num; } ) : [cursor + 1];
+				
+				return self.ask( (text ? (text.trim() + " ") : "") + (multi ? "Enter numbers separated by commas:" : "Enter a number:"), {
+					default: nums.join(', '),
+					transform: function(value) {
+						return ('' + value).split(/[\s,]+/).filter( function(str) { return str.length; } ).map( function(str) { return parseInt(str, 10); } );
+					},
+					validate: function(value) {
+						if (!multi && (value.length != 1)) return "Please enter one number.";
+						var bad = value.filter( function(num) { return !(num >= 1) || !(num <= items.length); } );
+						return !bad.length || ("Please enter a number between 1 and " + items.length + ".");
+					}
+				} ).then( function(value) {
+					var values = value.map( function(num) { return items[num - 1].value; } );
+					resolve( multi ? values : values[0] );
+				}, reject );
+			}
+			
+			var filter = "";
+			var top = 0;
+			var height = 0;
+			var styles = args.styles;
+			var maxWidth = self.width();
+			
+			var fit = function(str, used) {
+				// truncate text so lines never wrap, as the redraw counts on one row per line
+				return maxWidth ? self.truncate( str, Math.max(1, maxWidth - used - 1) ) : str;
+			};
+			
+			var render = function(done) {
+				var list = items.filter( function(item) {
+					return !filter || (item.label.toLowerCase().indexOf(filter.toLowerCase()) > -1);
+				} );
+				var lines = [];
+				var title = text ? fit(text.trim(), Math.floor(maxWidth / 2)) : "";
+				var header = title ? (self.applyStyles(title, styles.text) + " ") : "";
+				var used = title ? (stringWidth(title) + 1) : 0;
+				
+				if (done) {
+					// final answer replaces the list
+					var labels = multi ? items.filter( function(item) { return item.checked; } ) : [ list[cursor] ];
+					lines.push( header + self.applyStyles( fit(labels.map( function(item) { return item.label; } ).join(', '), used), styles.answer ) );
+				}
+				else {
+					if (cursor >= list.length) cursor = Math.max(0, list.length - 1);
+					if (cursor < top) top = cursor;
+					if (cursor >= top + args.pageSize) top = cursor - args.pageSize + 1;
+					
+					lines.push( header + (filter ? self.applyStyles(fit(filter, used), styles.filter) : self.applyStyles(
+						fit(multi ? "(arrows to move, space to toggle, type to filter)" : "(arrows to move, type to filter)", used), styles.hint
+					)) );
+					
+					var indent = stringWidth(args.pointer) + 1 + (multi ? (Math.max(stringWidth(args.checked), stringWidth(args.unchecked)) + 1) : 0);
+					list.slice(top, top + args.pageSize).forEach( function(item, idx) {
+						var active = (top + idx == cursor);
+						var label = fit(item.label, indent);
+						var line = active ? self.applyStyles(args.pointer, styles.pointer) : self.space( stringWidth(args.pointer) );
+						line += " ";
+						if (multi) line += (item.checked ? self.applyStyles(args.checked, styles.checked) : self.applyStyles(args.unchecked, styles.unchecked)) + " ";
+						line += active ? self.applyStyles(label, styles.active) : label;
+						lines.push( line );
+					} );
+					if (!list.length) lines.push( self.applyStyles("  (no matches)", styles.hint) );
+				}
+				
+				// move back up to the first line and redraw everything
+				self.stdout.write( (height > 1 ? ('\u001b[' + (height - 1) + 'A') : '') + "\r\u001b[J" + lines.join("\n") );
+				height = lines.length;
+				return list;
+			};
+			
+			self.stdout.write('\u001b[?25l');
+			var list = render();
+			
+			var stop = self.readKeys( function(str, key) {
+				if (key.ctrl && (key.name == 'c')) {
+					stop();
+					self.stdout.write("\n" + '\u001b[?25h');
+					self.exit(128 + 2);
+				}
+				else if ((key.name == 'return') || (key.name == 'enter')) {
+					if (!multi && !list.length) return;
+					stop();
+					render(true);
+					self.stdout.write("\n" + '\u001b[?25h');
+					return resolve( multi ? answer() : list[cursor].value );
+				}
+				else if (key.name == 'up') cursor = Math.max(0, cursor - 1);
+				else if (key.name == 'down') cursor = Math.max(0, Math.min(list.length - 1, cursor + 1));
+				else if (multi && (key.name == 'space')) {
+					if (list[cursor]) list[cursor].checked = !list[cursor].checked;
+				}
+				else if (key.name == 'backspace') filter = filter.substring(0, filter.length - 1);
+				else if (key.name == 'escape') filter = "";
+				else if (str && !key.ctrl && !key.meta && str.match(/^[^\x00-\x1F\x7F]+$/)) {
+					filter += str;
+					cursor = 0;
+					top = 0;
+				}
+				list = render();
+			} );
+		} );
+	},
+	
+	password: function(text, opts) {
+		// prompt for secret input without echoing it, resolves with answer
+		// opts: { mask, plus all the ask() options }
+		var self = this;
+		if (!opts || (typeof(opts) != 'object')) opts = {};
+		var mask = ('mask' in opts) ? opts.mask : this.selectDefaults.mask;
+		
+		// no raw mode means stdin isn't a terminal (so nothing is echoed anyway)
+		if (!this.tty() || !this.canReadKeys()) return this.ask( text, opts );
+		
+		if (!text.match(/\s$/)) text += ' ';
+		
+		return new Promise( function(resolve, reject) {
+			var preset = self.presetAnswer(opts);
+			if (preset !== undefined) {
+				var result = self.checkAnswer(preset, opts);
+				if (!result.error) return resolve( result.value );
+			}
+			
+			var loop = function() {
+				var answer = "";
+				self.currentPrompt = text;
+				self.stdout.write( text );
+				
+				var stop = self.readKeys( function(str, key) {
+					if (key.ctrl && (key.name == 'c')) {
+						stop();
+						self.stdout.write("\n");
+						self.exit(128 + 2);
+					}
+					else if ((key.name == 'return') || (key.name == 'enter')) {
+						stop();
+						delete self.currentPrompt;
+						self.stdout.write("\n");
+						
+						// user transforms and validators may throw, which must reject (not crash)
+						var result;
+						try { result = self.checkAnswer(answer, opts); }
+						catch (err) { return reject(err); }
+						
+						if (result.error) {
+							self.warnln( self.applyStyles(result.error, self.theme.prompt.error) );
+							return loop();
+						}
+						resolve( result.value );
+					}
+					else if (key.name == 'backspace') {
+						if (answer.length && mask) self.stdout.write( self.repeat("\b \b", stringWidth(mask)) );
+						answer = answer.substring(0, answer.length - 1);
+					}
+					else if (key.ctrl && (key.name == 'u')) {
+						if (mask) self.stdout.write( self.repeat("\b \b", stringWidth(mask) * answer.length) );
+						answer = "";
+					}
+					else if (str && !key.ctrl && !key.meta && str.match(/^[^\x00-\x1F\x7F]+$/)) {
+						answer += str;
+						if (mask) self.stdout.write( self.repeat(mask, str.length) );
+					}
+				} );
+			};
+			loop();
+		} );
+	},
+	
+	canReadKeys: function() {
+		// return true if stdin (or the terminal, if stdin is piped) supports raw mode for keypress events
+		var input = this.ttyInput();
+		return !!(input.isTTY && input.setRawMode);
+	},
+	
+	readKeys: function(handler) {
+		// put stdin (or the terminal, if stdin is piped) in raw mode and send keypress events to handler
+		// returns function to call when done
+		var stdin = this.ttyInput();
+		var listener = function(str, key) {
+			handler( str, key || {} );
+		};
+		
+		// suspend other keypress listeners (i.e. an active repl) while we own the keyboard
+		readline.emitKeypressEvents(stdin);
+		var others = stdin.listeners('keypress');
+		var wasRaw = !!stdin.isRaw;
+		stdin.removeAllListeners('keypress');
+		
+		stdin.setRawMode(true);
+		stdin.on('keypress', listener);
+		stdin.resume();
+		
+		return function() {
+			stdin.removeListener('keypress', listener);
+			others.forEach( function(other) { stdin.on('keypress', other); } );
+			stdin.setRawMode(wasRaw);
+			stdin.pause();
+		};
+	},
+	
+	// repl currently waiting for input, if any
+	activeRepl: null,
+	
+	repl: function(opts) {
+		// run interactive shell, resolves when user exits (Ctrl-D, exit or quit)
+		// opts: { prompt, commands, completer, history, historySize, args, name }
+		var self = this;
+		if (!opts) opts = {};
+		
+		var name = opts.name || path.basename( process.argv[1] || 'app', '.js' );
+		var prompt = ('prompt' in opts) ? opts.prompt : (name + '> ');
+		var more = ('continuation' in opts) ? opts.continuation : '... ';
+		var tree = { commands: opts.commands ? this.replCommands(opts.commands, '') : this.commands };
+		var history = [];
+		
+		// built-in commands are offered for completion too, unless the app defines its own
+		var builtins = this.replCommands({
+			help: { description: "Show help for a command." },
+			exit: { description: "Exit the shell.", aliases: ['quit'] }
+		}, '');
+		var completions = Tools.mergeHashes( builtins, tree.commands );
+		
+		if (opts.history) {
+			// history file is oldest first, readline wants newest first
+			try { history = this.loadFile( opts.history ).split(/\n/).filter( function(line) { return !!line; } ).reverse(); }
+			catch (err) {;}
+		}
+		
+		return new Promise( function(resolve) {
+			var rl = readline.createInterface({
+				input: self.stdin,
+				output: self.stdout,
+				terminal: !!self.tty(),
+				historySize: opts.historySize || 1000,
+				completer: function(line, callback) {
+					var words = splitWords(line);
+					if (!line.length || line.match(/\s$/)) words.push('');
+					var partial = words[words.length - 1];
+					
+					var result = opts.completer ? opts.completer.call( self, line, words ) : self.getCompletions( words, { args: opts.args, commands: completions } );
+					Promise.resolve( result ).then( function(items) {
+						items = (items || []).map( function(item) { return (typeof(item) == 'object') ? item.value : ('' + item); } );
+						callback( null, [ items, partial ] );
+					}, function(err) { callback(err); } );
+				}
+			});
+			rl.history = history.slice(0, opts.historySize || 1000);
+			
+			var repl = self.activeRepl = { rl: rl, idle: false, busy: false, queue: [], buffer: '', parts: 0, sigint: false };
+			repl.close = function() { rl.close(); };
+			
+			var ask = function() {
+				// show prompt and wait for next line (prompt is omitted for piped input)
+				repl.idle = true;
+				rl.setPrompt( repl.buffer ? more : prompt );
+				if (self.tty()) rl.prompt();
+				else rl.resume();
+			};
+			
+			var saveHistory = function() {
+				if (!opts.history || !rl.history) return;
+				try { self.saveFile( opts.history, [].concat(rl.history).reverse().join("\n") + "\n" ); }
+				catch (err) {;}
+			};
+			
+			var next = function() {
+				// run next queued line, or wait for more input
+				if (repl.closed) return;
+				if (repl.queue.length) run( repl.queue.shift() );
+				else if (repl.eof) finish();
+				else ask();
+			};
+			
+			var run = function(line) {
+				// trailing backslash continues onto next line
+				if (line.match(/\\$/)) {
+					repl.buffer += line.replace(/\\$/, '') + "\n";
+					repl.parts++;
+					return next();
+				}
+				if (repl.parts && rl.history) {
+					// collapse continued lines into a single history entry
+					rl.history.splice( 0, repl.parts + 1, (repl.buffer + line).replace(/\s*\n/g, ' ') );
+				}
+				line = repl.buffer + line;
+				repl.buffer = '';
+				repl.parts = 0;
+				if (!line.trim()) return next();
+				
+				saveHistory();
+				repl.idle = false;
+				repl.busy = true;
+				rl.pause();
+				
+				Promise.resolve().then( function() {
+					return self.replLine( line, tree, opts );
+				} ).then( null, function(err) {
+					self.warnln( self.applyStyles( '' + ((err && err.message) ? err.message : err), self.theme.prompt.error ) );
+				} ).then( function(result) {
+					repl.busy = false;
+					if (result === false) { repl.queue = []; repl.eof = true; }
+					next();
+				} );
+			};
+			
+			var finish = function() {
+				// shut down and resolve
+				if (repl.closed) return;
+				repl.closed = true;
+				if (repl.idle && self.tty()) self.stdout.write("\n");
+				repl.idle = false;
+				rl.close();
+				saveHistory();
+				if (self.activeRepl === repl) self.activeRepl = null;
+				resolve();
+			};
+			
+			rl.on('line', function(line) {
+				if (self.currentPrompt) return; // answer to a nested prompt() from a command
+				repl.sigint = false;
+				
+				// lines arriving while a command is running (i.e. piped input) are queued
+				if (repl.busy) repl.queue.push( line );
+				else run( line );
+			} );
+			
+			rl.on('SIGINT', function() {
+				// ctrl-c: cancel current line, or exit if pressed twice on an empty line
+				if (repl.busy) {
+					self.stdout.write("\n");
+					return self.exit(128 + 2);
+				}
+				if (rl.line || repl.buffer) {
+					if (repl.parts && rl.history) rl.history.splice( 0, repl.parts );
+					repl.buffer = '';
+					repl.parts = 0;
+					repl.sigint = false;
+					rl.write(null, { ctrl: true, name: 'u' });
+					self.stdout.write("^C\n");
+					return ask();
+				}
+				if (repl.sigint) return finish();
+				repl.sigint = true;
+				self.stdout.write("^C\n(To exit, press Ctrl-C again or Ctrl-D, or type exit)\n");
+				ask();
+			} );
+			
+			rl.on('close', function() {
+				// ctrl-d or end of piped input, finish up after queued lines have run
+				repl.eof = true;
+				if (!repl.busy) finish();
+			} );
+			
+			ask();
+		} );
+	},
+	
+	replCommands: function(commands, prefix) {
+		// convert hash of repl commands into command tree nodes, same as command() creates
+		var nodes = {};
+		for (var key in commands) {
+			var def = commands[key];
+			if (typeof(def) == 'function') def = { handler: def };
+			
+			var node = { name: prefix + key, aliases: [], args: {}, commands: {} };
+			for (var prop in def) {
+				if (prop != 'commands') node[prop] = def[prop];
+			}
+			if (typeof(node.aliases) == 'string') node.aliases = [ node.aliases ];
+			if (def.commands) node.commands = this.replCommands( def.commands, node.name + ' ' );
+			nodes[key] = node;
+		}
+		return nodes;
+	},
+	
+	replLine: function(line, tree, opts) {
+		// run single line of repl input against command tree
+		// returns false to exit, or handler result (possibly a promise)
+		var words = splitWords(line);
+		var args = new Args( words ).get();
+		releaseSwitches( args, words, this.booleanArgs(tree, opts && opts.args), {} );
+		var cmd = tree;
+		words = args.other ? [].concat(args.other) : [];
+		
+		// built-in commands, unless the app defines its own
+		if (!this.findCommand(tree, words[0])) {
+			if ((words[0] === 'exit') || (words[0] === 'quit')) return false;
+			if ((words[0] === 'help') || (args.help && !words.length)) {
+				words.shift();
+				while (words.length && this.findCommand(cmd, words[0])) cmd = this.findCommand(cmd, words.shift());
+				if (cmd.name) return this.println( this.commandHelp(cmd, opts) );
+				
+				var rows = [ ["Command", "Description"] ];
+				for (var key in tree.commands) {
+					if (!tree.commands[key].hidden) rows.push([ key, tree.commands[key].description || '' ]);
+				}
+				rows.push([ "help", "Show help for a command." ], [ "exit", "Exit the shell." ]);
+				return this.println( this.table(rows, { autoFit: true }) );
+			}
+		}
+		
+		// walk down the command tree, same as dispatch()
+		while (words.length) {
+			var sub = this.findCommand(cmd, words[0]);
+			if (!sub) break;
+			cmd = sub;
+			words.shift();
+		}
+		
+		if (!cmd.handler) {
+			var word = words[0] || '';
+			if (!word && cmd.name) return this.println( this.commandHelp(cmd, opts) );
+			var msg = "Unknown command: " + (cmd.name ? cmd.name + ' ' : '') + word;
+			var suggest = this.suggestCommand(cmd, word);
+			if (suggest) msg += "\nDid you mean: " + (cmd.name ? cmd.name + ' ' : '') + suggest + "?";
+			throw new Error(msg);
+		}
+		if (args.help) return this.println( this.commandHelp(cmd, opts) );
+		
+		args.other = words;
+		var errors = this.validateArgs( Tools.mergeHashes(opts.args || {}, cmd.args), args );
+		if (errors.length) throw new Error( errors.join("\n") );
+		
+		return cmd.handler.call( this, args, cmd );
+	},
+	
+	taskDefaults: {
+		concurrent: false,
+		exitOnError: false,
+		collapse: true,
+		elapsed: true,
+		summary: true,
+		indent: "",
+		freq: 100,
+		color: true,
+		unicode: true,
+		success: '✔',
+		failure: '✖',
+		skipped: '↓',
+		pending: '◌',
+		arrow: '→'
+	},
+	taskAsciiOverrides: {
+		success: 'v',
+		failure: 'x',
+		skipped: '-',
+		pending: '.',
+		arrow: '->'
+	},
+	
+	tasks: function(list, opts) {
+		// run list of tasks with live status display, resolves with shared context object
+		// rejects if any tasks failed (after all others have run), with an `errors` array
+		// tasks: [{ title, task: function(ctx, task), skip, tasks: [...], concurrent }]
+		var self = this;
+		var progress = this.progress;
+		
+		// copy defaults and apply user overrides
+		var args = Tools.copyHash( this.taskDefaults );
+		Tools.mergeHashInto( args, opts || {} );
+		args.styles = Tools.mergeHashes( Tools.mergeHashes(this.theme.tasks, { spinner: this.theme.progress.spinner }), args.styles || {} );
+		if (!args.color) args.styles = {};
+		if (!args.unicode) Tools.mergeHashInto( args, this.taskAsciiOverrides );
+		
+		var spinner = args.unicode ? progress.defaults.spinner : progress.asciiOverrides.spinner;
+		if (typeof(args.indent) == 'number') args.indent = this.space(args.indent);
+		
+		var ctx = args.ctx || {};
+		var live = this.tty() && !args.quiet;
+		var errors = [];
+		var counts = { total: 0, success: 0, failed: 0, skipped: 0, pending: 0 };
+		var aborted = false;
+		var frame = 0;
+		var timeStart = this.clock.now();
+		
+		var prepTasks = function(defs, depth) {
+			// convert task definitions into status nodes
+			return defs.filter( function(def) { return !!def; } ).map( function(def) {
+				if (typeof(def) == 'function') def = { task: def };
+				var node = { def: def, title: def.title || (def.task && def.task.name) || 'Task', depth: depth, status: 'pending', output: '' };
+				node.children = def.tasks ? prepTasks( def.tasks, depth + 1 ) : [];
+				
+				// handle passed to task functions, for updating the display
+				node.handle = {
+					setTitle: function(title) { node.title = '' + title; },
+					output: function(text) { node.output = ('' + text).trim().split(/\n/).pop(); },
+					skip: function(reason) { node.status = 'skipped'; node.reason = reason || ''; }
+				};
+				return node;
+			} );
+		};
+		var nodes = prepTasks( list, 0 );
+		
+		var elapsedText = function(sec) {
+			// format elapsed time, with tenths of a second for short tasks
+			if (sec < 60) return (Math.round(sec * 10) / 10) + 's';
+			return self.getTextFromSeconds( Math.floor(sec), true, true );
+		};
+		
+		var fit = function(text, used) {
+			// truncate text to fit terminal width (if known), so lines never wrap
+			var width = self.width();
+			return width ? self.truncate( text, Math.max(10, width - used - 1) ) : text;
+		};
+		
+		var renderNode = function(node, lines) {
+			// render one task line (plus output or error line), then its subtasks
+			var status = node.status;
+			var icon = (status == 'running') ? spinner[ frame % spinner.length ] : args[ (status == 'failed') ? 'failure' : status ];
+			var prefix = args.indent + self.space(node.depth * 2);
+			var suffix = '';
+			
+			if ((status == 'skipped') && node.reason) suffix = ' [skipped: ' + node.reason + ']';
+			else if (((status == 'success') || (status == 'failed')) && args.elapsed) suffix = ' (' + elapsedText(node.elapsed) + ')';
+			
+			lines.push(
+				prefix + self.applyStyles( icon, args.styles[ (status == 'running') ? 'spinner' : (status == 'failed') ? 'failure' : status ] ) + ' ' + 
+				self.applyStyles( fit(node.title, stringWidth(prefix + icon + ' ' + suffix)), args.styles.title ) + 
+				self.applyStyles( suffix, args.styles[ (status == 'skipped') ? 'skipped' : 'elapsed' ] )
+			);
+			
+			// show latest output of running tasks, or error of failed ones
+			var detail = (status == 'running') ? node.output : ((status == 'failed') && node.error) ? errorText(node.error) : '';
+			if (detail && live) {
+				prefix += self.space(2);
+				detail = fit( args.arrow + ' ' + detail.split(/\n/)[0], stringWidth(prefix) );
+				lines.push( prefix + self.applyStyles( detail, args.styles[ (status == 'failed') ? 'error' : 'output' ] ) );
+			}
+			
+			if (!args.collapse || (status == 'running') || (status == 'failed')) {
+				node.children.forEach( function(child) { renderNode( child, lines ); } );
+			}
+			return lines;
+		};
+		
+		var errorText = function(err) {
+			return '' + ((err && err.message) ? err.message : err);
+		};
+		
+		// live display, drawn as a block of lines like progress groups
+		var block = {
+			height: 0,
+			draw: function() {
+				// draw all tasks, then move cursor back to top of block
+				if (!block.running) return;
+				if (self.activeRepl && self.activeRepl.idle) return; // don't draw over repl prompt
+				var lines = [];
+				nodes.forEach( function(node) { renderNode( node, lines ); } );
+				frame++;
+				
+				var output = "\r\u001b[J" + lines.join("\n");
+				if (lines.length > 1) output += '\u001b[' + (lines.length - 1) + 'A';
+				self.stdout.write( output + "\r" );
+				block.height = lines.length;
+			},
+			erase: function() {
+				// erase entire block (cursor is always left at the top)
+				if (!block.running) return;
+				if (self.activeRepl && self.activeRepl.idle) return;
+				self.stdout.write( "\r\u001b[J" );
+			},
+			end: function() {
+				// draw final state and leave cursor below block
+				if (!block.running) return;
+				block.draw();
+				self.stdout.write( self.repeat("\n", block.height) + '\u001b[?25h' );
+				self.clock.clearInterval( block.timer );
+				block.running = false;
+				if (progress.activeGroup === block) delete progress.activeGroup;
+			}
+		};
+		
+		var report = function(node) {
+			// non-tty mode: print a plain line as each task finishes (parent tasks also print when started)
+			if (live || args.quiet) return;
+			var lines = renderNode( node, [] );
+			if (node.status != 'running') lines = lines.slice(0, 1);
+			else if (node.children.length) lines = [ lines[0].replace( spinner[ frame % spinner.length ], args.arrow ) ];
+			else return;
+			self.println( lines[0] );
+		};
+		
+		var runList = function(list, concurrent) {
+			// run nodes in order, with optional concurrency limit (true means all at once)
+			var queue = [].concat( list );
+			var limit = (concurrent === true) ? queue.length : (parseInt(concurrent, 10) || 1);
+			var workers = [];
+			
+			var worker = function() {
+				if (!queue.length || aborted) return Promise.resolve();
+				return runNode( queue.shift() ).then( worker );
+			};
+			for (var idx = 0; idx < Math.min(limit, queue.length); idx++) workers.push( worker() );
+			return Promise.all( workers );
+		};
+		
+		var runNode = function(node) {
+			// run single task and its subtasks, never rejects
+			var def = node.def;
+			node.status = 'running';
+			node.start = self.clock.now();
+			
+			return Promise.resolve().then( function() {
+				return (typeof(def.skip) == 'function') ? def.skip.call( self, ctx ) : def.skip;
+			} ).then( function(skip) {
+				if (skip) return node.handle.skip( (typeof(skip) == 'string') ? skip : '' );
+				report( node );
+				
+				return Promise.resolve( def.task ? def.task.call(self, ctx, node.handle) : null ).then( function() {
+					if ((node.status != 'running') || !node.children.length) return;
+					node.expanded = true;
+					return runList( node.children, def.concurrent ).then( function() {
+						// parent fails if any subtasks failed, but errors are only collected from the subtasks themselves
+						if (node.children.some( function(child) { return child.status == 'failed'; } )) node.status = 'failed';
+					} );
+				} );
+			} ).then( function() {
+				if (node.status == 'running') node.status = 'success';
+			}, function(err) {
+				node.status = 'failed';
+				node.error = err;
+				errors.push({ title: node.title, error: err });
+				if (args.exitOnError) aborted = true;
+			} ).then( function() {
+				node.elapsed = self.clock.now() - node.start;
+				report( node );
+			} );
+		};
+		
+		if (live) {
+			block.running = true;
+			if (!progress.activeGroup) progress.activeGroup = block;
+			block.timer = this.clock.setInterval( block.draw, args.freq );
+			
+			// hide CLI cursor
+			this.stdout.write('\u001b[?25l');
+			block.draw();
+			
+			// just in case
+			self.hookProcess( 'exit', block.end );
+		}
+		
+		var tally = function(list) {
+			// count tasks whose subtasks ran by their subtasks, and all others (including parents) as one
+			// so every failure counted has exactly one error collected
+			list.forEach( function(node) {
+				if (node.expanded) return tally( node.children );
+				counts.total++;
+				counts[ (node.status == 'running') ? 'pending' : node.status ]++;
+			} );
+		};
+		
+		return runList( nodes, args.concurrent ).then( function() {
+			tally( nodes );
+			if (live) {
+				self.unhookProcess( block.end );
+				block.end();
+			}
+			
+			if (args.summary && !args.quiet) {
+				// one line summary, then details of each failure
+				var parts = [ counts.success + " succeeded" ];
+				if (counts.failed) parts.push( counts.failed + " failed" );
+				if (counts.skipped) parts.push( counts.skipped + " skipped" );
+				if (counts.pending) parts.push( counts.pending + " not run" );
+				self.println( "\n" + counts.total + " " + self.pluralize("task", counts.total) + ": " + parts.join(', ') + 
+					(args.elapsed ? self.applyStyles(" (" + elapsedText(self.clock.now() - timeStart) + ")", args.styles.elapsed) : '') );
+				
+				errors.forEach( function(item) {
+					self.println( self.applyStyles(args.failure, args.styles.failure) + ' ' + item.title + ': ' + self.applyStyles(errorText(item.error), args.styles.error) );
+				} );
+			}
+			
+			if (errors.length) {
+				var err = new Error( errors.length + " of " + counts.total + " " + self.pluralize("task", counts.total) + " failed." );
+				err.errors = errors;
+				err.ctx = ctx;
+				throw err;
+			}
+			return ctx;
+		} );
+	},
+	
+	repeat: function(text, amount) {
+		// repeat string by specified number of times
+		if (!amount || (amount < 0)) return "";
+		return repeating(amount, ''+text);
+	},
+	
+	space: function(amount) {
+		// generate some amount of whitespace
+		return this.repeat(" ", amount);
+	},
+	
+	pad: function(text, width) {
+		// pad a string with spaces on right side to take up specified width
+		return text + this.space(width - stringWidth(text));
+	},
+	
+	center: function(text, width) {
+		// center string horizontally
+		var self = this;
+		text = text.toString().trim();
+		if (!width) width = widestLine(text);
+		
+		// recurse for multi-line text blobs
+		if (text.match(/\n/)) {
+			return text.split(/\n/).map(function(line) {
+				return self.center(line, width);
+			}).join("\n");
+		} // multi-line
+		
+		var margin = Math.floor( (width - stringWidth(text)) / 2 );
+		var output = this.space(margin) + text;
+		var remain = width - stringWidth(output);
+		output += this.space(remain);
+		return output;
+	},
+	
+	wrap: function(text, width, opts) {
+		// return word-wrapped text block, measuring visible width (ANSI codes are zero width, wide chars are two)
+		// styles are closed at the end of each line and re-opened on the next
+		// opts: { indent, hangingIndent, cut, align }
+		var self = this;
+		if (!opts) opts = {};
+		if (!width) width = 50;
+		
+		var indent = opts.indent || "";
+		if (typeof(indent) == 'number') indent = this.space(indent);
+		var hanging = ('hangingIndent' in opts) ? opts.hangingIndent : indent;
+		if (typeof(hanging) == 'number') hanging = this.space(hanging);
+		
+		var align = opts.align || 'left';
+		var state = {};
+		var output = [];
+		
+		var fitUnits = function(units, max) {
+			// split units into head that fits into max columns (always at least one char) and tail
+			var used = 0;
+			var idx = 0;
+			for (; idx < units.length; idx++) {
+				var unit_width = units[idx].width || 0;
+				if (used && unit_width && (used + unit_width > max)) break;
+				used += unit_width;
+			}
+			return { head: units.slice(0, idx), tail: units.slice(idx), width: used };
+		};
+		
+		text.toString().replace(/\t/g, "    ").split(/\n/).forEach( function(source) {
+			var lines = [];
+			var line = null;
+			var avail = 0;
+			
+			var newLine = function() {
+				line = { words: [], width: 0, indent: lines.length ? hanging : indent };
+				avail = Math.max( 1, width - stringWidth(line.indent) );
+				lines.push( line );
+			};
+			var addWord = function(sep, units, word_width) {
+				line.words.push({ sep: sep, units: units, width: word_width });
+				line.width += stringWidth(sep) + word_width;
+			};
+			newLine();
+			
+			splitStyledWords( source ).forEach( function(word) {
+				// leading whitespace is only kept on the first line
+				var sep = (line.words.length || (lines.length == 1)) ? word.sep : '';
+				if (line.words.length && (line.width + stringWidth(sep) + word.width > avail)) {
+					newLine();
+					sep = '';
+				}
+				
+				// cut words which are too long (if enabled), wide chars (e.g. CJK) can always be split
+				var units = word.units;
+				var word_width = word.width;
+				while ((line.width + stringWidth(sep) + word_width > avail) && (opts.cut || word.wide)) {
+					if (!line.words.length && (stringWidth(sep) >= avail)) sep = '';
+					var parts = fitUnits( units, avail - line.width - stringWidth(sep) );
+					addWord( sep, parts.head, parts.width );
+					units = parts.tail;
+					word_width -= parts.width;
+					newLine();
+					sep = '';
+				}
+				if (units.length) addWord( sep, units, word_width );
+			} );
+			
+			lines.forEach( function(line, idx) {
+				// render line, re-opening styles that were active at the end of the previous one
+				var extra = Math.max( 1, width - stringWidth(line.indent) ) - line.width;
+				var content = openStyles(state);
+				var gaps = line.words.length - 1;
+				var justify = (align == 'justify') && (idx < lines.length - 1) && (gaps > 0) && (extra > 0);
+				
+				line.words.forEach( function(word, idy) {
+					content += word.sep;
+					if (justify && idy) content += self.space( Math.floor(extra / gaps) + ((idy <= (extra % gaps)) ? 1 : 0) );
+					word.units.forEach( function(unit) {
+						if (unit.code) { content += unit.code; trackStyles(state, unit.code); }
+						else content += unit.ch;
+					} );
+				} );
+				content += closeStyles(state);
+				
+				if (!line.words.length) { output.push( content ); return; }
+				if ((extra > 0) && (align == 'right')) content = self.space(extra) + content;
+				else if ((extra > 0) && (align == 'center')) content = self.space( Math.floor(extra / 2) ) + content;
+				output.push( line.indent + content );
+			} );
+		} );
+		
+		return output.join("\n");
+	},
+	
+	// border themes for table(), box() and tree()
+	borders: {
+		single: {
+			top: '─', topLeft: '┌', topMid: '┬', topRight: '┐',
+			bottom: '─', bottomLeft: '└', bottomMid: '┴', bottomRight: '┘',
+			divider: '─', dividerLeft: '├', dividerMid: '┼', dividerRight: '┤',
+			left: '│', mid: '│', right: '│',
+			branch: '├', lastBranch: '└', trunk: '│'
+		},
+		double: {
+			top: '═', topLeft: '╔', topMid: '╦', topRight: '╗',
+			bottom: '═', bottomLeft: '╚', bottomMid: '╩', bottomRight: '╝',
+			divider: '═', dividerLeft: '╠', dividerMid: '╬', dividerRight: '╣',
+			left: '║', mid: '║', right: '║',
+			branch: '╠', lastBranch: '╚', trunk: '║'
+		},
+		rounded: {
+			top: '─', topLeft: '╭', topMid: '┬', topRight: '╮',
+			bottom: '─', bottomLeft: '╰', bottomMid: '┴', bottomRight: '╯',
+			divider: '─', dividerLeft: '├', dividerMid: '┼', dividerRight: '┤',
+			left: '│', mid: '│', right: '│',
+			branch: '├', lastBranch: '╰', trunk: '│'
+		},
+		heavy: {
+			top: '━', topLeft: '┏', topMid: '┳', topRight: '┓',
+			bottom: '━', bottomLeft: '┗', bottomMid: '┻', bottomRight: '┛',
+			divider: '━', dividerLeft: '┣', dividerMid: '╋', dividerRight: '┫',
+			left: '┃', mid: '┃', right: '┃',
+			branch: '┣', lastBranch: '┗', trunk: '┃'
+		},
+		ascii: {
+			top: '-', topLeft: '+', topMid: '+', topRight: '+',
+			bottom: '-', bottomLeft: '+', bottomMid: '+', bottomRight: '+',
+			divider: '-', dividerLeft: '+', dividerMid: '+', dividerRight: '+',
+			left: '|', mid: '|', right: '|',
+			branch: '|', lastBranch: '`', trunk: '|'
+		},
+		markdown: {
+			top: '', topLeft: '', topMid: '', topRight: '',
+			bottom: '', bottomLeft: '', bottomMid: '', bottomRight: '',
+			divider: '-', dividerLeft: '|', dividerMid: '|', dividerRight: '|',
+			left: '|', mid: '|', right: '|',
+			branch: '|', lastBranch: '`', trunk: '|'
+		},
+		none: {
+			top: '', topLeft: '', topMid: '', topRight: '',
+			bottom: '', bottomLeft: '', bottomMid: '', bottomRight: '',
+			divider: '', dividerLeft: '', dividerMid: '', dividerRight: '',
+			left: '', mid: '', right: '',
+			branch: ' ', lastBranch: ' ', trunk: ' '
+		}
+	},
+	
+	// default border theme name (or object)
+	border: 'single',
+	
+	setBorder: function(border) {
+		// set default border theme, by name or custom object
+		if ((typeof(border) == 'string') && !this.borders[border]) throw new Error("Unknown border theme: " + border);
+		this.border = border;
+	},
+	
+	getBorder: function(args) {
+		// resolve border theme from args (border or unicode), falling back to default
+		// custom theme objects inherit any missing chars from single
+		var border = (args && args.border) || this.border;
+		if (args && (args.unicode === false) && !args.border) border = 'ascii';
+		if (typeof(border) == 'string') border = this.borders[border] || this.borders.single;
+		return Tools.mergeHashes( this.borders.single, border );
+	},
+	
+	box: function(text, args) {
+		// ┌───────────────────────────────────────┐
+		// │  Wrap a text string in an ASCII box.  │
+		// └───────────────────────────────────────┘
+		var self = this;
+		text = text.toString();
+		
+		if (!args) args = {};
+		var width = args.width || 0;
+		var hspace = ("hspace" in args) ? args.hspace : 1;
+		var vspace = args.vspace || 0;
+		var styles = args.styles || this.theme.box.styles;
+		var titleStyles = args.titleStyles || this.theme.box.titleStyles;
+		var indent = args.indent || "";
+		if (typeof(indent) == 'number') indent = this.space(indent);
+		var theme = this.getBorder(args);
+		
+		var output = [];
+		
+		// limit width to maxWidth and/or terminal width
+		var maxWidth = args.maxWidth || 0;
+		if ((maxWidth || args.autoFit) && this.width()) {
+			var avail = this.width() - stringWidth(indent) - stringWidth(theme.left) - stringWidth(theme.right) - (hspace * 2);
+			maxWidth = Math.max( 1, maxWidth ? Math.min(maxWidth, avail) : avail );
+		}
+		if (maxWidth && (width > maxWidth)) width = maxWidth;
+		if (maxWidth && !width && (widestLine(text) > maxWidth)) width = maxWidth;
+		
+		// calc width / wrap text
+		if (width) text = this.wrap(text, width, { cut: true, align: (args.align == 'justify') ? 'justify' : 'left' });
+		else width = widestLine(text);
+		
+		// make room for title and footer in borders
+		[args.title, args.footer].forEach( function(label) {
+			if (label) width = Math.max( width, stringWidth(label) + 4 - (hspace * 2) );
+		} );
+		
+		var inner = width;
+		width += (hspace * 2);
+		
+		var borderLine = function(left, fill, right, label, align) {
+			// horizontal border, with optional label embedded in it
+			if (!label) return indent + self.applyStyles(left + self.repeat(fill, width) + right, styles);
+			
+			label = " " + label + " ";
+			var remain = width - stringWidth(label);
+			var before = 1;
+			if (align == 'center') before = Math.floor(remain / 2);
+			else if (align == 'right') before = remain - 1;
+			
+			return indent + 
+				self.applyStyles(left + self.repeat(fill, before), styles) + 
+				self.applyStyles(label, titleStyles) + 
+				self.applyStyles(self.repeat(fill, remain - before) + right, styles);
+		};
+		
+		// top border
+		if (theme.top) {
+			output.push( borderLine(theme.topLeft, theme.top, theme.topRight, args.title, args.titleAlign) );
+		}
+		else if (args.title) output.push( indent + this.applyStyles(args.title, titleStyles) );
+		
+		// left, content, right
+		var lines = text.split(/\n/);
+		while (vspace-- > 0) {
+			lines.unshift( "" );
+			lines.push( "" );
+		}
+		lines.forEach( function(line) {
+			if (args.align && (args.align != 'left')) line = self.align(line, inner, args.align);
+			line = self.space(hspace) + line + self.space(hspace);
+			output.push(
+				indent + 
+				self.applyStyles(theme.left, styles) + 
+				self.pad(line, width) + 
+				self.applyStyles(theme.right, styles) 
+			);
+		} );
+		
+		// bottom border
+		if (theme.bottom) {
+			output.push( borderLine(theme.bottomLeft, theme.bottom, theme.bottomRight, args.footer, args.footerAlign || args.titleAlign) );
+		}
+		else if (args.footer) output.push( indent + this.applyStyles(args.footer, titleStyles) );
+		
+		return output.join("\n");
+	},
+	
+	columns: function(blocks, args) {
+		// join multiple multi-line text blocks horizontally, side by side
+		// args: { gutter, valign, indent }
+		var self = this;
+		if (!args) args = {};
+		var gutter = ("gutter" in args) ? args.gutter : 2;
+		if (typeof(gutter) == 'number') gutter = this.space(gutter);
+		var indent = args.indent || "";
+		if (typeof(indent) == 'number') indent = this.space(indent);
+		
+		var cols = blocks.map( function(block) {
+			block = '' + block;
+			return { lines: block.split(/\n/), width: widestLine(block) };
+		} );
+		var height = Math.max.apply( Math, cols.map( function(col) { return col.lines.length; } ).concat(0) );
+		
+		// vertical alignment
+		cols.forEach( function(col) {
+			var remain = height - col.lines.length;
+			var before = 0;
+			if (args.valign == 'middle') before = Math.floor(remain / 2);
+			else if (args.valign == 'bottom') before = remain;
+			
+			for (var idx = 0; idx < before; idx++) col.lines.unshift("");
+			while (col.lines.length < height) col.lines.push("");
+		} );
+		
+		var output = [];
+		for (var idx = 0; idx < height; idx++) {
+			var line = cols.map( function(col, idy) {
+				// last column doesn't need padding
+				return (idy < cols.length - 1) ? self.pad(col.lines[idx], col.width) : col.lines[idx];
+			} ).join(gutter);
+			output.push( indent + line.replace(/\s+$/, '') );
+		}
+		
+		return output.join("\n");
+	},
+	
+	applyStyles: function(text, styles) {
+		// apply one or more chalk styles or functions to text string
+		// named styles are skipped if color is disabled, but functions always apply (they may change the text itself)
+		var self = this;
+		if (!styles) return text;
+		styles.forEach( function(style) {
+			if (typeof style === 'function') {
+				text = style( text );
+			} else if (self.color) {
+				text = self.chalk[style]( text );
+			}
+		} );
+		return text;
+	},
+	
+	tree: function(dir, indent, args) {
+		// render dir/file tree view based on array of files/dirs
+		if (!dir) dir = ".";
+		if (!indent) indent = "";
+		if (!args) args = {};
+		this.prepTreeArgs(args);
+		
+		// symlinks were always followed before the option existed, so that remains the default
+		if (!('followSymlinks' in args)) args.followSymlinks = true;
+		
+		var output = [];
+		var nodes = this.treeDirNodes( dir, args, 1, [ this.realPath(dir) ] );
+		
+		if (!indent) {
+			var root = path.basename( args.resolveRoot ? path.resolve(dir) : dir );
+			output.push( this.applyStyles( root + "/", args.folderStyles ) + this.treeSuffix({ type: 'dir', children: nodes }, args) );
+		}
+		output = output.concat( this.renderTree(nodes, indent, args) );
+		
+		return output.length ? output.join("\n") : "";
+	},
+	
+	treeData: function(data, args) {
+		// render tree view of in-memory hierarchy, either nested objects or { name, children } nodes
+		if (!args) args = {};
+		this.prepTreeArgs(args);
+		
+		var output = [];
+		var root = args.root || '';
+		var nodes = null;
+		
+		if (data && !Tools.isaArray(data) && (typeof(data) == 'object') && ('name' in data) && Tools.isaArray(data.children)) {
+			// single root node
+			root = '' + data.name;
+			nodes = this.treeDataNodes( data.children, args, 1, [data] );
+		}
+		else nodes = this.treeDataNodes( data, args, 1, [data] );
+		
+		if (root) output.push( this.applyStyles(root, args.folderStyles) );
+		output = output.concat( this.renderTree(nodes, "", args) );
+		
+		return output.join("\n");
+	},
+	
+	prepTreeArgs: function(args) {
+		// apply default tree styles and filters
+		var theme = this.theme.tree;
+		args.folderStyles = args.folderStyles || theme.folderStyles;
+		args.fileStyles = args.fileStyles || theme.fileStyles;
+		args.symlinkStyles = args.symlinkStyles || theme.symlinkStyles;
+		args.lineStyles = args.lineStyles || theme.lineStyles;
+		args.infoStyles = args.infoStyles || theme.infoStyles;
+		args.includeFilter = args.includeFilter || /./;
 		args.excludeFilter = args.excludeFilter || /(?!)/;
+		return args;
+	},
+	
+	realPath: function(file) {
+		// resolve real path of file, or null on error
+		try { return fs.realpathSync(file); }
+		catch (err) { return null; }
+	},
+	
+	treeDirNodes: function(dir, args, depth, ancestors) {
+		// build sorted array of tree nodes from filesystem dir
+		// ancestors is array of real paths, for detecting symlink loops
+		var self = this;
+		var nodes = [];
+		
+		fs.readdirSync(dir).forEach( function(filename) {
+			if (!filename.match(args.includeFilter) || filename.match(args.excludeFilter)) return;
+			var file = path.join( dir, filename );
+			var stats = fs.lstatSync(file);
+			var node = { name: filename, type: 'file', size: stats.size, mtime: stats.mtime.getTime() / 1000 };
+			
+			if (stats.isSymbolicLink()) {
+				node.type = 'symlink';
+				try { node.target = fs.readlinkSync(file); } catch (err) {;}
+				
+				if (args.followSymlinks) {
+					try { stats = fs.statSync(file); }
+					catch (err) { node.broken = true; delete node.size; stats = null; }
+					if (stats) {
+						node.size = stats.size;
+						node.mtime = stats.mtime.getTime() / 1000;
+					}
+				}
+				else stats = null;
+			}
+			
+			if (stats && stats.isDirectory()) {
+				var real = self.realPath(file);
+				if (node.type != 'symlink') node.type = 'dir';
+				node.dir = true;
+				
+				// unreadable subdirs (e.g. EACCES) are marked with the error, so the rest of the tree still renders
+				try {
+					if (ancestors.indexOf(real) > -1) node.loop = true;
+					else if (!args.maxDepth || (depth < args.maxDepth)) {
+						node.children = self.treeDirNodes( file, args, depth + 1, ancestors.concat(real) );
+					}
+					else if (args.counts) {
+						// not descending, but still count immediate children
+						node.count = fs.readdirSync(file).filter( function(name) {
+							return name.match(args.includeFilter) && !name.match(args.excludeFilter);
+						} ).length;
+					}
+				}
+				catch (err) { node.error = err.code || err.message; }
+			}
+			
+			nodes.push( node );
+		} );
+		
+		return this.sortTreeNodes( nodes, args );
+	},
+	
+	treeDataNodes: function(data, args, depth, ancestors) {
+		// build array of tree nodes from in-memory data (objects, arrays or { name, children } nodes)
+		var self = this;
+		var nodes = [];
+		
+		var makeNode = function(name, value) {
+			// convert one value into a node, recursing for objects and arrays
+			if (value && (typeof(value) == 'object')) {
+				var node = { name: name, type: 'dir' };
+				if (ancestors.indexOf(value) > -1) node.loop = true;
+				else if (!args.maxDepth || (depth < args.maxDepth)) {
+					node.children = self.treeDataNodes( value, args, depth + 1, ancestors.concat([value]) );
+				}
+				else if (args.counts) node.count = Tools.isaArray(value) ? value.length : Tools.numKeys(value);
+				return node;
+			}
+			return { name: (name === null) ? ('' + value) : (name + ": " + value), type: 'file' };
+		};
+		
+		if (Tools.isaArray(data)) {
+			data.forEach( function(item, idx) {
+				if (item && (typeof(item) == 'object') && !Tools.isaArray(item) && ('name' in item)) {
+					// { name, children } node
+					var node = makeNode( '' + item.name, item.children || [] );
+					if (!item.children) { node.type = 'file'; delete node.children; delete node.count; }
+					nodes.push( node );
+				}
+				else if (item && (typeof(item) == 'object')) nodes.push( makeNode('[' + idx + ']', item) );
+				else nodes.push( makeNode(null, item) );
+			} );
+		}
+		else if (data && (typeof(data) == 'object')) {
+			for (var key in data) nodes.push( makeNode(key, data[key]) );
+		}
+		
+		return args.sort ? this.sortTreeNodes( nodes, args ) : nodes;
+	},
+	
+	sortTreeNodes: function(nodes, args) {
+		// sort tree nodes by name, size, mtime or custom function, optionally dirs first
+		var sort = args.sort;
+		if (sort && (typeof(sort) != 'function')) {
+			var key = sort;
+			sort = function(a, b) {
+				if ((key == 'size') || (key == 'mtime')) return (b[key] || 0) - (a[key] || 0);
+				return a.name.localeCompare(b.name);
+			};
+		}
+		if (sort) nodes.sort( sort );
+		
+		if (args.dirsFirst) {
+			// stable partition, preserving existing order
+			nodes = nodes.filter( function(node) { return node.children || node.dir; } ).concat(
+				nodes.filter( function(node) { return !node.children && !node.dir; } )
+			);
+		}
+		return nodes;
+	},
+	
+	treeSuffix: function(node, args) {
+		// extra info shown after node name (counts, sizes, symlink targets, loops)
+		var info = [];
+		var count = node.children ? node.children.length : node.count;
+		
+		if (args.counts && (count !== undefined)) info.push( this.commify(count) + " " + this.pluralize("item", count) );
+		if (args.sizes && !node.children && !node.dir && (node.size !== undefined)) info.push( this.getTextFromBytes(node.size) );
+		if (node.loop) info.push( "loop" );
+		if (node.broken) info.push( "broken" );
+		if (node.error) info.push( node.error );
+		
+		var suffix = '';
+		if ((node.type == 'symlink') && node.target) suffix += " -> " + node.target;
+		if (info.length) suffix += " (" + info.join(', ') + ")";
+		return suffix ? this.applyStyles(suffix, args.infoStyles) : '';
+	},
+	
+	renderTree: function(nodes, indent, args) {
+		// render array of tree nodes into lines, with branch graphics
+		var self = this;
+		var theme = this.getBorder(args);
+		var output = [];
+		
+		nodes.forEach( function(node, idx) {
+			var last = (idx == nodes.length - 1);
+			var prefix = indent + self.applyStyles( " " + (last ? theme.lastBranch : theme.branch), args.lineStyles ) + " ";
+			var styles = args.fileStyles;
+			var name = node.name;
+			
+			if (node.type == 'symlink') styles = args.symlinkStyles;
+			else if (node.children || node.dir || (node.type == 'dir')) styles = args.folderStyles;
+			if (node.dir) name += "/";
+			
+			output.push( prefix + self.applyStyles(name, styles) + self.treeSuffix(node, args) );
+			
+			if (node.children && node.children.length) {
+				output = output.concat( self.renderTree(
+					node.children, 
+					indent + self.applyStyles( " " + (last ? self.space(stringWidth(theme.trunk)) : theme.trunk), args.lineStyles ) + " ", 
+					args
+				) );
+			}
+		} );
+		
+		return output;
+	},
+	
+	fitTableWidths: function(rows, args) {
+		// calculate max column widths to fit entire table into horiz terminal width
+		// returns array of widths, or null if table already fits (or no tty)
+		var self = this;
+		var avail_width = (this.width() - (stringWidth(args.indent) * 2));
+		if (avail_width < 1) return null;
+		var theme = this.getBorder(args);
+		
+		var max_col_widths = [];
+		rows.forEach( function(cols, idx) {
+			cols.forEach( function(col, idy) {
+				max_col_widths[idy] = Math.max( max_col_widths[idy] || 0, widestLine(''+col) );
+			} );
+		} );
+		
+		var measureTableWidth = function() {
+			// measure table width with current settings and max_col_widths "virtually" applied
+			var widestCols = [];
+			rows.forEach( function(cols, idx) {
+				cols.forEach( function(col, idy) {
+					var sw = Math.min( widestLine(''+col), max_col_widths[idy] );
+					widestCols[idy] = Math.max( widestCols[idy] || 0, sw + 2 );
+				} );
+			} );
+			
+			var numCols = widestCols.length;
+			var line = theme.left;
+			widestCols.forEach( function(num, idx) {
+				line += self.space(num);
+				line += (idx < numCols - 1) ? theme.mid : theme.right;
+			} );
+			
+			return stringWidth(line);
+		}; // measureTableWidth
+		
+		if (measureTableWidth() <= avail_width) return null;
+		
+		// now keep chopping down max_col_widths until we fit
+		while (measureTableWidth() > avail_width) {
+			// find largest max_col_widths and decrement it by 1
+			var longest_col_width = Math.max.apply( Math, max_col_widths );
+			if (longest_col_width < 2) break; // e-brake
+			
+			var longest_col_idx = max_col_widths.indexOf(longest_col_width);
+			if (longest_col_idx == -1) break; // sanity
+			
+			max_col_widths[longest_col_idx]--;
+		}
+		
+		return max_col_widths;
+	},
+	
+	autoFitTableRows: function(rows, args) {
+		// add ellipsis to rows as needed to fit entire table into horiz terminal width
+		var self = this;
+		var max_col_widths = this.fitTableWidths(rows, args);
+		if (!max_col_widths) return;
 		
-		if (!indent) {
-			output.push( this.applyStyles( path.basename(dir) + "/", args.folderStyles ) );
+		// prune affected columns, trying to preserve ANSI color inside column value
+		rows.forEach( function(cols, idx) {
+			cols.forEach( function(col, idy) {
+				cols[idy] = self.truncate( ''+col, max_col_widths[idy] );
+			});
+		});
+	},
+	
+	truncate: function(text, width) {
+		// truncate text to fit width, adding ellipsis, trying to preserve ANSI color
+		if (stringWidth(text) <= width) return text;
+		var suffix = '';
+		var prefix = '';
+		
+		while (text.match(/^(\u001b\[[^m]*?m)/)) {
+			prefix += RegExp.$1;
+			text = text.replace(/^(\u001b\[[^m]*?m)/, '');
 		}
 		
-		fs.readdirSync(dir).forEach( function(filename, idx, arr) {
-			if (!filename.match(args.includeFilter) || filename.match(args.excludeFilter)) return;
-			var file = path.join( dir, filename );
-			var stats = fs.statSync(file);
-			var last = (idx == arr.length - 1);
-			var prefix = indent + self.applyStyles( " " + (last ? "└" : "├"), args.lineStyles ) + " ";
+		while (text.match(/(\u001b\[[^m]*?m)$/)) {
+			suffix = RegExp.$1 + suffix;
+			text = text.replace(/(\u001b\[[^m]*?m)$/, '');
+		}
+		
+		return prefix + text.substring(0, width - 1) + '…' + suffix;
+	},
+	
+	align: function(text, width, align) {
+		// align text within width (left, right or center), text is not truncated
+		var remain = width - stringWidth(text);
+		if (remain <= 0) return text;
+		if (align == 'right') return this.space(remain) + text;
+		if (align == 'center') return this.space( Math.floor(remain / 2) ) + text + this.space( Math.ceil(remain / 2) );
+		return text + this.space(remain);
+	},
+	
+	table: function(rows, args) {
+		// render table of cols/rows with unicode borders
+		// rows should be an array of arrays (columns), with row 0 being the header
+		// the rows array is not modified
+		var self = this;
+		
+		// optional args
+		if (!args) args = {};
+		args.headerStyles = args.headerStyles || this.theme.table.headerStyles;
+		args.borderStyles = args.borderStyles || this.theme.table.borderStyles;
+		args.textStyles = args.textStyles || this.theme.table.textStyles;
+		args.footerStyles = args.footerStyles || this.theme.table.footerStyles;
+		args.indent = args.indent || "";
+		if (typeof(args.indent) == 'number') args.indent = this.space(args.indent);
+		
+		var columns = args.columns || [];
+		var footer = args.footer || [];
+		if (footer.length && !Tools.isaArray(footer[0])) footer = [ footer ];
+		
+		// make our own copy of all the rows, tagging each with its section
+		var sections = [];
+		var cells = [];
+		var copyRow = function(cols, section, orig) {
+			cells.push( cols.map( function(col) { return ((col === null) || (col === undefined)) ? '' : (''+col); } ) );
+			sections.push({ section: section, row: orig || cols });
+		};
+		rows.forEach( function(cols, idx) {
+			copyRow( cols, ((idx == 0) && (args.header !== false)) ? 'header' : 'body' );
+		} );
+		footer.forEach( function(cols) { copyRow( cols, 'footer' ); } );
+		
+		// apply column max widths, and fit to terminal if requested
+		var max_col_widths = [];
+		columns.forEach( function(column, idx) {
+			if (column && column.maxWidth) max_col_widths[idx] = column.maxWidth;
+		} );
+		if (args.autoFit) {
+			var fit_widths = this.fitTableWidths(cells, args) || [];
+			fit_widths.forEach( function(width, idx) {
+				max_col_widths[idx] = Math.min( width, max_col_widths[idx] || width );
+			} );
+		}
+		
+		cells.forEach( function(cols) {
+			cols.forEach( function(col, idy) {
+				var max = max_col_widths[idy];
+				if (!max || (widestLine(col) <= max)) return;
+				var column = columns[idy] || {};
+				
+				cols[idy] = col.split(/\n/).map( function(line) {
+					// wrap long lines if requested (splitting words too long for the column), and truncate anything still too long
+					if (args.wrap || column.wrap) line = self.wrap(line, max, { cut: true });
+					return line.split(/\n/).map( function(part) { return self.truncate(part, max); } ).join("\n");
+				} ).join("\n");
+			} );
+		} );
+		
+		// calculate widest columns (+1spc of hpadding)
+		var widestCols = [];
+		cells.forEach( function(cols, idx) {
+			cols.forEach( function(col, idy) {
+				var column = columns[idy] || {};
+				widestCols[idy] = Math.max( widestCols[idy] || 0, widestLine(col) + 2, (column.minWidth || 0) + 2 );
+			} );
+		} );
+		
+		var numCols = widestCols.length;
+		var output = [];
+		
+		var theme = this.getBorder(args);
+		var border = function(fill, left, mid, right) {
+			// horizontal border line (skipped if theme has no fill char for it)
+			if (!fill) return;
+			var line = left;
+			widestCols.forEach( function(num, idx) {
+				line += self.repeat(fill, num);
+				if (idx < numCols - 1) line += mid;
+			} );
+			line += right;
+			output.push( args.indent + self.applyStyles(line, args.borderStyles) );
+		};
+		
+		var renderRow = function(cols, info) {
+			// render one row, which may span multiple lines
+			var lines = cols.map( function(col) { return col.split(/\n/); } );
+			var height = Math.max.apply( Math, lines.map( function(col_lines) { return col_lines.length; } ) );
 			
-			if (stats.isDirectory()) {
-				output.push( prefix + self.applyStyles(filename + "/", args.folderStyles) );
-				var results = self.tree(file, indent + self.applyStyles( last ? "  " : " │", args.lineStyles ) + " ", args );
-				if (results) output.push( results );
+			for (var idz = 0; idz < height; idz++) {
+				var line = self.applyStyles(theme.left, args.borderStyles);
+				for (var idy = 0; idy < numCols; idy++) {
+					var column = columns[idy] || {};
+					var text = (lines[idy] && lines[idy][idz]) || '';
+					var styles = args.textStyles;
+					
+					if (info.section == 'header') styles = args.headerStyles;
+					else if (info.section == 'footer') styles = args.footerStyles;
+					else if (typeof(column.styles) == 'function') styles = column.styles( info.row[idy], info.row );
+					else if (column.styles) styles = column.styles;
+					
+					var align = (info.section == 'header') ? (column.headerAlign || column.align) : column.align;
+					if (align && (align != 'left')) text = self.align( text, widestCols[idy] - 2, align );
+					text = self.applyStyles(" " + text + " ", styles);
+					line += self.pad(text, widestCols[idy]) + self.applyStyles((idy < numCols - 1) ? theme.mid : theme.right, args.borderStyles);
+				}
+				output.push(args.indent + line);
 			}
-			else if (stats.isSymbolicLink()) {
-				output.push( prefix + self.applyStyles(filename, args.symlinkStyles) );
+		};
+		
+		// top border
+		border( theme.top, theme.topLeft, theme.topMid, theme.topRight );
+		
+		cells.forEach( function(cols, idx) {
+			var info = sections[idx];
+			var prev = idx ? sections[idx - 1].section : '';
+			
+			// dividers between sections, and optionally between rows
+			if (idx && ((info.section != prev) || (args.separators && (info.section == 'body')))) {
+				border( theme.divider, theme.dividerLeft, theme.dividerMid, theme.dividerRight );
 			}
-			else {
-				output.push( prefix + self.applyStyles(filename, args.fileStyles) );
+			renderRow( cols, info );
+		} );
+		
+		// bottom border
+		border( theme.bottom, theme.bottomLeft, theme.bottomMid, theme.bottomRight );
+		
+		return output.join("\n");
+	},
+	
+	// output formats for formatRows(), keyed by name
+	// each is called with (rows, args) and returns a string
+	formats: {
+		table: function(rows, args) {
+			return this.table( rows, args );
+		},
+		json: function(rows, args) {
+			return this.jsonPretty( this.rowsToObjects(rows, args) );
+		},
+		ndjson: function(rows, args) {
+			return this.rowsToObjects(rows, args).map( function(obj) { return JSON.stringify(obj); } ).join("\n");
+		},
+		csv: function(rows, args) {
+			return this.plainRows(rows).map( function(cols) {
+				return cols.map( function(col) {
+					return col.match(/[",\r\n]|^\s|\s$/) ? ('"' + col.replace(/"/g, '""') + '"') : col;
+				} ).join(',');
+			} ).join("\n");
+		},
+		tsv: function(rows, args) {
+			return this.plainRows(rows).map( function(cols) {
+				return cols.map( function(col) {
+					return col.replace(/\\/g, "\\\\").replace(/\t/g, "\\t").replace(/\r/g, "\\r").replace(/\n/g, "\\n");
+				} ).join("\t");
+			} ).join("\n");
+		},
+		markdown: function(rows, args) {
+			var cells = this.plainRows(rows).map( function(cols) {
+				return cols.map( function(col) { return col.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>"); } );
+			} );
+			if (!cells.length) return '';
+			if (args.header === false) cells.unshift( cells[0].map( function() { return ''; } ) );
+			return this.stripColor( this.table(cells, {
+				border: 'markdown',
+				columns: args.columns,
+				headerStyles: [],
+				textStyles: [],
+				borderStyles: []
+			}) );
+		}
+	},
+	
+	formatRows: function(rows, args) {
+		// render rows in format specified by args.format or --format (defaults to table)
+		// rows are in the same format as table(), i.e. row 0 is the header
+		if (!args) args = {};
+		var format = args.format || this.args.format || 'table';
+		if (!this.formats[format]) {
+			return this.die( "Unknown output format: " + format + " (must be one of: " + Object.keys(this.formats).join(', ') + ")\n" );
+		}
+		return this.formats[format].call( this, rows, args );
+	},
+	
+	plainRows: function(rows) {
+		// convert all rows to arrays of plain strings, with color stripped
+		var self = this;
+		return rows.map( function(cols) {
+			return cols.map( function(col) {
+				return ((col === null) || (col === undefined)) ? '' : self.stripColor( '' + col );
+			} );
+		} );
+	},
+	
+	rowsToObjects: function(rows, args) {
+		// convert table rows to array of objects keyed by header, with color stripped
+		// if there is no header row, array of arrays is returned
+		var self = this;
+		var plain = function(col) {
+			return (typeof(col) == 'string') ? self.stripColor(col) : col;
+		};
+		if (args && (args.header === false)) {
+			return rows.map( function(cols) { return cols.map(plain); } );
+		}
+		
+		var keys = this.plainRows( rows.slice(0, 1) )[0] || [];
+		return rows.slice(1).map( function(cols) {
+			var obj = {};
+			keys.forEach( function(key, idx) { obj[key] = plain( cols[idx] ); } );
+			return obj;
+		} );
+	},
+	
+	// defaults for charts, override per call
+	chartDefaults: {
+		width: 0,
+		indent: "",
+		units: "",
+		color: true,
+		unicode: true,
+		axis: '│'
+	},
+	
+	prepChartArgs: function(opts) {
+		// copy chart defaults, apply overrides, and borrow fill glyphs from progress bar
+		var args = Tools.copyHash( this.chartDefaults );
+		Tools.mergeHashInto( args, opts || {} );
+		args.styles = Tools.mergeHashes( this.theme.chart, args.styles || {} );
+		if (!args.color) args.styles = {};
+		
+		var glyphs = args.unicode ? this.progress.defaults : this.progress.asciiOverrides;
+		args.filling = glyphs.filling;
+		args.filled = glyphs.filled;
+		if (!args.unicode) args.axis = '|';
+		
+		// fit within terminal width (or 80 if unknown)
+		if (typeof(args.indent) == 'number') args.indent = this.space(args.indent);
+		args.maxWidth = (args.width || this.width() || 80) - stringWidth(args.indent);
+		return args;
+	},
+	
+	formatChartValue: function(args, value) {
+		// format value label based on units, or custom format function
+		if (args.format) return '' + args.format(value);
+		if (args.units == 'bytes') return this.getTextFromBytes( Math.floor(value) );
+		return this.commify( this.shortFloat(value) ) + (args.units ? (' ' + args.units) : '');
+	},
+	
+	sparkline: function(values, opts) {
+		// render array of numbers as a single line of fill glyphs, scaled between min and max
+		// only the most recent values are shown if there are too many to fit
+		var self = this;
+		var args = this.prepChartArgs( opts );
+		var levels = args.filling.slice(1).concat( args.filled );
+		
+		values = values.slice( -args.maxWidth );
+		var nums = values.filter( function(value) { return (typeof(value) == 'number') && isFinite(value); } );
+		var min = ('min' in args) ? args.min : nums.reduce( function(a, b) { return Math.min(a, b); }, Infinity );
+		var max = ('max' in args) ? args.max : nums.reduce( function(a, b) { return Math.max(a, b); }, -Infinity );
+		
+		var line = values.map( function(value) {
+			// missing values show as gaps
+			if ((typeof(value) != 'number') || !isFinite(value)) return ' ';
+			var frac = (max > min) ? ((Math.max(min, Math.min(max, value)) - min) / (max - min)) : 1;
+			return levels[ Math.min( levels.length - 1, Math.floor(frac * levels.length) ) ];
+		} ).join('');
+		
+		return args.indent + this.applyStyles( line, args.styles.spark );
+	},
+	
+	barChart: function(rows, opts) {
+		// render labeled horizontal bar chart, one bar per row, scaled to fit width
+		// rows can be an array of [label, value] pairs, an array of { label, value } objects, or a hash of label to value
+		var self = this;
+		var args = this.prepChartArgs( opts );
+		
+		if (!Tools.isaArray(rows)) rows = Object.keys(rows).map( function(key) { return [ key, rows[key] ]; } );
+		rows = rows.map( function(row) {
+			return Tools.isaArray(row) ? { label: '' + row[0], value: row[1] } : { label: '' + row.label, value: row.value };
+		} );
+		if (!rows.length) return '';
+		
+		var label_width = 0;
+		var value_width = 0;
+		var max = ('max' in args) ? args.max : 0;
+		rows.forEach( function(row) {
+			row.text = self.formatChartValue( args, row.value );
+			label_width = Math.max( label_width, stringWidth(row.label) );
+			value_width = Math.max( value_width, stringWidth(row.text) );
+			if (!('max' in args)) max = Math.max( max, row.value );
+		} );
+		
+		// bar gets whatever is left after label, axis and value, and long labels are truncated to make room
+		var fixed = stringWidth(args.axis) + value_width + 2;
+		label_width = Math.min( label_width, Math.max(4, Math.floor((args.maxWidth - fixed) / 2)) );
+		var bar_width = Math.max( 1, ('barWidth' in args) ? args.barWidth : (args.maxWidth - label_width - fixed - 1) );
+		
+		return rows.map( function(row) {
+			var width = (max > 0) ? (Math.max(0, Math.min(row.value / max, 1.0)) * bar_width) : 0;
+			var partial = width - Math.floor(width);
+			var bar = self.repeat( args.filled, Math.floor(width) );
+			if (partial > 0) bar += args.filling[ Math.floor(partial * args.filling.length) ];
+			
+			return args.indent + 
+				self.applyStyles( self.pad(self.truncate(row.label, label_width), label_width), args.styles.label ) + ' ' + 
+				self.applyStyles( args.axis, args.styles.axis ) + 
+				self.applyStyles( self.pad(bar, bar_width), args.styles.bar ) + ' ' + 
+				self.applyStyles( row.text, args.styles.value );
+		} ).join("\n");
+	},
+	
+	histogram: function(values, opts) {
+		// bucket array of numbers into equal ranges, and render counts as a bar chart
+		// opts: { buckets, bucketSize, min, max } plus all barChart options (units apply to the bucket ranges)
+		var self = this;
+		if (!opts) opts = {};
+		var args = this.prepChartArgs( opts );
+		
+		values = values.filter( function(value) { return (typeof(value) == 'number') && isFinite(value); } );
+		if (!values.length) return '';
+		
+		// reduce rather than Math.min.apply(), which overflows the stack on large arrays
+		var min = ('min' in opts) ? opts.min : values.reduce( function(a, b) { return Math.min(a, b); }, Infinity );
+		var max = ('max' in opts) ? opts.max : values.reduce( function(a, b) { return Math.max(a, b); }, -Infinity );
+		var count = (max > min) ? Math.max( 1, opts.buckets || 10 ) : 1;
+		var size = (max > min) ? ((max - min) / count) : 1;
+		if (opts.bucketSize && (max > min)) {
+			// values equal to max go into the last bucket
+			size = opts.bucketSize;
+			count = Math.max( 1, Math.ceil((max - min) / size) );
+		}
+		
+		var buckets = [];
+		for (var idx = 0; idx < count; idx++) buckets.push( 0 );
+		values.forEach( function(value) {
+			if ((value < min) || (value > max)) return;
+			buckets[ Math.min( count - 1, Math.floor((value - min) / size) ) ]++;
+		} );
+		
+		// units are only shown once per range, except for bytes which are scaled individually
+		var low_args = Tools.mergeHashes( args, { units: (args.units == 'bytes') ? 'bytes' : '' } );
+		var rows = buckets.map( function(amount, idx) {
+			var low = min + (idx * size);
+			return [ self.formatChartValue(low_args, low) + ' - ' + self.formatChartValue(args, low + size), amount ];
+		} );
+		
+		// bars show plain counts, so the range units, format and limits do not apply to them
+		var chart_opts = Tools.mergeHashes( opts, { units: "", format: null } );
+		delete chart_opts.min;
+		delete chart_opts.max;
+		return this.barChart( rows, chart_opts );
+	},
+	
+	loadFile: function(file, opts) {
+		// load file into memory synchronously, return string (.gz files are decompressed)
+		// `-` reads all of stdin (reopened via /dev/stdin, as the fd itself may be non-blocking)
+		// streams injected via create() can't be read synchronously, so loadFileAsync() must be used for those
+		if (file === '-') {
+			if (this.stdin !== process.stdin) throw new Error("Cannot read a custom stdin stream synchronously, use loadFileAsync() instead");
+			file = (process.platform == 'win32') ? 0 : '/dev/stdin';
+		}
+		var data = fs.readFileSync( file );
+		if (isGzip(file, opts)) data = zlib.gunzipSync( data );
+		return data.toString('utf8');
+	},
+	
+	saveFile: function(file, content, opts) {
+		// save file to disk synchronously (.gz files are compressed)
+		// writes to a temp file first, then renames over the original, so a crash never leaves a partial file
+		// opts: { atomic, backup, mode, gzip }
+		if (!opts) opts = {};
+		var data = isGzip(file, opts) ? zlib.gzipSync( content ) : content;
+		if (file === '-') return this.stdout.write( data );
+		if (opts.atomic === false) return fs.writeFileSync( file, data, opts.mode ? { mode: opts.mode } : {} );
+		
+		// write through symlinks, rather than replacing them
+		try { file = fs.realpathSync(file); } catch (err) {;}
+		var stats = null;
+		try { stats = fs.statSync(file); } catch (err) {;}
+		
+		// special files (fifos, devices) can't be replaced, so write to them directly
+		if (stats && !stats.isFile()) return fs.writeFileSync( file, data );
+		if (stats && opts.backup) fs.copyFileSync( file, file + ((typeof(opts.backup) == 'string') ? opts.backup : '.bak') );
+		
+		// preserve mode of existing file (4095 is 07777)
+		var mode = opts.mode || (stats ? (stats.mode & 4095) : 0);
+		var temp = tempFile(file);
+		
+		try {
+			var fd = fs.openSync( temp, 'w', mode || 438 ); // 0666
+			try {
+				fs.writeSync( fd, data );
+				fs.fsyncSync( fd );
+			}
+			finally { fs.closeSync( fd ); }
+			
+			if (mode) fs.chmodSync( temp, mode ); // not subject to umask
+			fs.renameSync( temp, file );
+		}
+		catch (err) {
+			try { fs.unlinkSync( temp ); } catch (e) {;}
+			throw err;
+		}
+	},
+	
+	appendFile: function(file, content, opts) {
+		// append to file synchronously (.gz files get a new gzip member, which decompresses as one stream)
+		var data = isGzip(file, opts) ? zlib.gzipSync( content ) : content;
+		if (file === '-') return this.stdout.write( data );
+		fs.appendFileSync( file, data );
+	},
+	
+	parseJSON: function(text, opts) {
+		// parse JSON text, throwing a SyntaxError with file, line, column and code frame on failure
+		// opts: { file, comments }
+		if (!opts) opts = {};
+		var file = opts.file || '';
+		var json = opts.comments ? stripJSONComments(text) : text;
+		
+		try {
+			return JSON.parse( json );
+		}
+		catch (err) {
+			var pos = findJSONError( json );
+			if (pos < 0) throw err;
+			
+			var before = text.substring(0, pos).split(/\n/);
+			var line = before.length;
+			var column = before[ before.length - 1 ].length + 1;
+			
+			// use engine message if it makes sense on its own, otherwise describe the token
+			var msg = err.message.replace(/\s+at position \d+.*$/, '').replace(/\s+(in|after) JSON$/, '');
+			if (msg.match(/is not valid JSON$/) || !msg.match(/^(Unexpected|Expected|Bad)/)) {
+				msg = (pos < text.length) ? ("Unexpected token " + JSON.stringify(text[pos])) : "Unexpected end of JSON input";
 			}
+			
+			var frame = codeFrame( text, line, column );
+			var error = new SyntaxError( (file ? (file + ":") : "") + line + ":" + column + ": " + msg + "\n" + frame );
+			error.file = file;
+			error.line = line;
+			error.column = column;
+			error.frame = frame;
+			throw error;
+		}
+	},
+	
+	loadJSON: function(file, opts) {
+		// load and parse JSON file synchronously (.gz files are decompressed)
+		// opts.comments allows // and /* */ comments
+		return this.parseJSON( this.loadFile(file, opts), { file: (file === '-') ? 'stdin' : file, comments: !!(opts && opts.comments) } );
+	},
+	
+	saveJSON: function(file, data, opts) {
+		// save data as pretty-printed JSON file, atomically (see saveFile)
+		if (!opts) opts = {};
+		this.saveFile( file, JSON.stringify( data, null, ('indent' in opts) ? opts.indent : "\t" ) + "\n", opts );
+	},
+	
+	loadFileAsync: function(file, opts) {
+		// async version of loadFile(), returns promise
+		var read = (file === '-') ? this.readStdin({ encoding: null }) : fsCall( fs.readFile, file );
+		return read.then( function(data) {
+			return isGzip(file, opts) ? fsCall( zlib.gunzip, data ) : data;
+		} ).then( function(data) {
+			return data.toString('utf8');
 		} );
+	},
+	
+	saveFileAsync: function(file, content, opts) {
+		// async version of saveFile(), returns promise
+		if (!opts) opts = {};
+		var data = content;
+		var stats = null;
+		var mode = 0;
+		var temp = '';
+		var fd = null;
 		
-		return output.length ? output.join("\n") : "";
+		var self = this;
+		var replace = function() {
+			// write temp file and rename it over the original
+			return Promise.resolve().then( function() {
+				if (stats && opts.backup) return fsCall( fs.copyFile, file, file + ((typeof(opts.backup) == 'string') ? opts.backup : '.bak') );
+			} ).then( function() {
+				mode = opts.mode || (stats ? (stats.mode & 4095) : 0);
+				temp = tempFile(file);
+				return fsCall( fs.open, temp, 'w', mode || 438 );
+			} ).then( function(result) {
+				fd = result;
+				return fsCall( fs.writeFile, fd, data );
+			} ).then( function() {
+				return fsCall( fs.fsync, fd );
+			} ).then( function() {
+				var close = fsCall( fs.close, fd );
+				fd = null;
+				return close;
+			} ).then( function() {
+				if (mode) return fsCall( fs.chmod, temp, mode );
+			} ).then( function() {
+				return fsCall( fs.rename, temp, file );
+			} ).then( null, function(err) {
+				// clean up temp file, then pass error along
+				if (fd !== null) fs.close( fd, function() {} );
+				if (!temp) throw err;
+				return new Promise( function(resolve) { fs.unlink( temp, resolve ); } ).then( function() { throw err; } );
+			} );
+		};
+		
+		return Promise.resolve( isGzip(file, opts) ? fsCall( zlib.gzip, content ) : content ).then( function(result) {
+			data = result;
+			if (file === '-') return self.writeStdout( data );
+			if (opts.atomic === false) return fsCall( fs.writeFile, file, data, opts.mode ? { mode: opts.mode } : {} ).then( function() { return false; } );
+			
+			return fsCall( fs.realpath, file ).then( function(real) { file = real; }, function() {} ).then( function() {
+				return fsCall( fs.stat, file ).then( function(result) { stats = result; }, function() {} );
+			} ).then( function() {
+				// special files (fifos, devices) can't be replaced, so write to them directly
+				if (stats && !stats.isFile()) return fsCall( fs.writeFile, file, data );
+				return replace();
+			} );
+		} ).then( function() {} );
+	},
+	
+	appendFileAsync: function(file, content, opts) {
+		// async version of appendFile(), returns promise
+		var self = this;
+		return Promise.resolve( isGzip(file, opts) ? fsCall( zlib.gzip, content ) : content ).then( function(data) {
+			if (file === '-') return self.writeStdout( data );
+			return fsCall( fs.appendFile, file, data );
+		} );
+	},
+	
+	loadJSONAsync: function(file, opts) {
+		// async version of loadJSON(), returns promise
+		var self = this;
+		return this.loadFileAsync( file, opts ).then( function(text) {
+			return self.parseJSON( text, { file: (file === '-') ? 'stdin' : file, comments: !!(opts && opts.comments) } );
+		} );
+	},
+	
+	saveJSONAsync: function(file, data, opts) {
+		// async version of saveJSON(), returns promise
+		if (!opts) opts = {};
+		return this.saveFileAsync( file, JSON.stringify( data, null, ('indent' in opts) ? opts.indent : "\t" ) + "\n", opts );
+	},
+	
+	writeStdout: function(data) {
+		// write to stdout, resolve when flushed
+		var stdout = this.stdout;
+		return new Promise( function(resolve, reject) {
+			stdout.write( data, function(err) {
+				if (err) reject(err);
+				else resolve();
+			} );
+		} );
+	},
+	
+	readStdin: function(opts) {
+		// read all of stdin, resolves with string (or buffer if opts.encoding is null)
+		var stdin = this.stdin;
+		var encoding = (opts && ('encoding' in opts)) ? opts.encoding : 'utf8';
+		
+		return new Promise( function(resolve, reject) {
+			var chunks = [];
+			var finish = function() {
+				stdin.removeListener('data', onData);
+				stdin.removeListener('error', onError);
+				var data = Buffer.concat( chunks );
+				resolve( encoding ? data.toString(encoding) : data );
+			};
+			var onData = function(chunk) {
+				chunks.push( Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk) );
+			};
+			var onError = function(err) {
+				stdin.removeListener('data', onData);
+				stdin.removeListener('end', finish);
+				reject( err );
+			};
+			
+			if (stdin.readableEnded) return finish();
+			stdin.on('data', onData);
+			stdin.once('end', finish);
+			stdin.once('error', onError);
+			stdin.resume();
+		} );
+	},
+	
+	readLines: function(handler, opts) {
+		// call handler for each line of stdin (or opts.stream), resolves with line count when done
+		// handler may return a promise, and input is paused until it settles (backpressure)
+		var self = this;
+		if (!opts) opts = {};
+		var stream = opts.stream || this.stdin;
+		
+		return new Promise( function(resolve, reject) {
+			var decoder = new StringDecoder('utf8');
+			var buffer = '';
+			var queue = [];
+			var count = 0;
+			var busy = false;
+			var ended = false;
+			var failed = false;
+			
+			var cleanup = function() {
+				stream.removeListener('data', onData);
+				stream.removeListener('end', onEnd);
+				stream.removeListener('error', onError);
+			};
+			var next = function() {
+				// process queued lines one at a time, resuming input once the queue is drained
+				if (busy || failed) return;
+				if (!queue.length) {
+					if (ended) { cleanup(); resolve( count ); }
+					else stream.resume();
+					return;
+				}
+				
+				var line = queue.shift();
+				busy = true;
+				Promise.resolve().then( function() {
+					return handler.call( self, line, count++ );
+				} ).then( function() {
+					busy = false;
+					next();
+				}, onError );
+			};
+			var onData = function(chunk) {
+				buffer += (typeof(chunk) == 'string') ? chunk : decoder.write(chunk);
+				var lines = buffer.split(/\r?\n/);
+				buffer = lines.pop();
+				if (!lines.length) return;
+				
+				queue = queue.concat( lines );
+				stream.pause();
+				next();
+			};
+			var onEnd = function() {
+				buffer += decoder.end();
+				if (buffer.length) queue.push( buffer );
+				ended = true;
+				next();
+			};
+			var onError = function(err) {
+				if (failed) return;
+				failed = true;
+				cleanup();
+				stream.pause();
+				reject( err );
+			};
+			
+			stream.on('data', onData);
+			stream.on('end', onEnd);
+			stream.on('error', onError);
+			stream.resume();
+		} );
+	},
+	
+	readRecords: function(handler, opts) {
+		// call handler for each NDJSON record of stdin (or opts.stream), skipping blank lines
+		// resolves with record count, rejects on the first invalid line
+		var self = this;
+		if (!opts) opts = {};
+		var count = 0;
+		
+		return this.readLines( function(line, idx) {
+			if (!line.trim()) return;
+			var record;
+			try { record = JSON.parse( line ); }
+			catch (err) {
+				var error = new SyntaxError( (opts.file || 'stdin') + ":" + (idx + 1) + ": " + err.message );
+				error.line = idx + 1;
+				throw error;
+			}
+			return handler.call( self, record, count++ );
+		}, opts ).then( function() {
+			return count;
+		} );
+	},
+	
+	// merged config from loadConfig(), and source of each value
+	config: null,
+	configSources: null,
+	
+	loadConfig: function(opts) {
+		// merge config layers, in order of precedence (lowest first):
+		// defaults, user config (XDG), project config (searched upward), env vars, cli args
+		var self = this;
+		if (!opts) opts = {};
+		var name = opts.name || path.basename( process.argv[1] || 'app', '.js' );
+		var config = {};
+		var sources = {};
+		
+		var coerce = function(value, dest, source) {
+			// env and arg values are strings, which must convert cleanly to the existing type
+			var result = self.coerceConfigValue( value, dest.prev );
+			if (result instanceof Error) self.die( "Error: Invalid value for config key \"" + dest.path + "\" (from " + source + "): " + result.message + "\n" );
+			return result;
+		};
+		
+		this.applyConfigLayer( config, sources, opts.defaults || {}, 'default' );
+		
+		// user config: $XDG_CONFIG_HOME/NAME/config.json
+		if (opts.xdg !== false) {
+			var home = process.env.HOME || process.env.USERPROFILE || '';
+			var xdg_dir = process.env.XDG_CONFIG_HOME || path.join( home, '.config' );
+			var xdg_file = path.join( xdg_dir, name, 'config.json' );
+			if (fs.existsSync(xdg_file)) this.applyConfigLayer( config, sources, this.loadConfigFile(xdg_file), xdg_file );
+		}
+		
+		// project config: explicit file, or search upward from cwd
+		var file = opts.file || this.args.config || '';
+		if (!file && (opts.search !== false)) {
+			file = this.findConfigFile( opts.files || ['.' + name + 'rc', '.' + name + '.json'], opts.cwd || process.cwd() );
+		}
+		if (file) this.applyConfigLayer( config, sources, this.loadConfigFile(file), file );
+		
+		// environment variables: PREFIX_SOME_KEY, with double underscore for nesting
+		var prefix = ('env' in opts) ? opts.env : name.toUpperCase().replace(/\W+/g, '_');
+		if (prefix) {
+			var env_layer = {};
+			var env_sources = {};
+			for (var key in process.env) {
+				if (key.indexOf(prefix + '_') !== 0) continue;
+				var parts = key.substring(prefix.length + 1).split('__');
+				var dest = this.setConfigPath( env_layer, config, parts );
+				env_sources[ dest.path ] = 'env:' + key;
+				dest.obj[ dest.key ] = coerce( process.env[key], dest, 'env:' + key );
+			}
+			this.applyConfigLayer( config, sources, env_layer, env_sources );
+		}
+		
+		// cli args, but only for keys we already know about (so --verbose etc. don't leak in)
+		if (opts.args !== false) {
+			var arg_layer = {};
+			var arg_sources = {};
+			for (var arg in this.args) {
+				if (arg == 'other') continue;
+				var key = arg;
+				var value = this.args[arg];
+				
+				// pixl-args parses --key=value as a key named "key=value"
+				var matches = arg.match(/^([^=]+)=(.*)$/);
+				if (matches && (value === true)) { key = matches[1]; value = matches[2]; }
+				
+				var parts = key.split('.');
+				if (!this.findConfigKey(config, parts[0]) && !this.argSchema[key]) continue;
+				var dest = this.setConfigPath( arg_layer, config, parts );
+				arg_sources[ dest.path ] = 'arg:--' + key;
+				dest.obj[ dest.key ] = (typeof(value) == 'string') ? coerce( value, dest, 'arg:--' + key ) : value;
+			}
+			this.applyConfigLayer( config, sources, arg_layer, arg_sources );
+		}
+		
+		this.config = config;
+		this.configSources = sources;
+		return config;
+	},
+	
+	loadConfigFile: function(file) {
+		// load json config file, tolerating comments
+		try {
+			return this.loadJSON( file, { comments: true } );
+		}
+		catch (err) {
+			this.die( "Error: Failed to load config file: " + (err.file ? err.message : (file + ": " + err.message)) + "\n" );
+		}
+	},
+	
+	findConfigFile: function(filenames, dir) {
+		// search upward from dir for first matching config filename
+		dir = path.resolve(dir);
+		while (true) {
+			for (var idx = 0, len = filenames.length; idx < len; idx++) {
+				var file = path.join( dir, filenames[idx] );
+				if (fs.existsSync(file)) return file;
+			}
+			var parent = path.dirname(dir);
+			if (parent == dir) return '';
+			dir = parent;
+		}
+	},
+	
+	findConfigKey: function(obj, key) {
+		// find existing key in obj ignoring case, dashes and underscores
+		// e.g. max-size, MAX_SIZE and maxSize all match
+		if (!obj || (typeof(obj) != 'object')) return null;
+		var norm = key.toLowerCase().replace(/[\-_]/g, '');
+		for (var name in obj) {
+			if (name.toLowerCase().replace(/[\-_]/g, '') == norm) return name;
+		}
+		return null;
+	},
+	
+	setConfigPath: function(layer, config, parts) {
+		// walk nested path in layer, matching key names already in config
+		// returns { obj, key, path, prev } for the final key
+		var self = this;
+		var obj = layer;
+		var cur = config;
+		var keys = [];
+		
+		parts.forEach( function(part, idx) {
+			var key = self.findConfigKey(cur, part) || part.toLowerCase();
+			keys.push( key );
+			cur = (cur && (typeof(cur) == 'object')) ? cur[key] : undefined;
+			if (idx < parts.length - 1) {
+				if (!obj[key] || (typeof(obj[key]) != 'object')) obj[key] = {};
+				obj = obj[key];
+			}
+		} );
+		
+		return { obj: obj, key: keys[keys.length - 1], path: keys.join('.'), prev: cur };
+	},
+	
+	coerceConfigValue: function(value, prev) {
+		// convert string value to match type of previous value (or guess)
+		// returns Error object if value cannot be converted to previous type
+		if (typeof(prev) == 'number') {
+			if (!value.match(/^\s*[\-\+]?(\d+\.?\d*|\.\d+)(e[\-\+]?\d+)?\s*$/i)) return new Error("Expected a number, got \"" + value + "\".");
+			return Number(value);
+		}
+		if (typeof(prev) == 'boolean') {
+			if (value.match(/^(true|yes|on|1)$/i)) return true;
+			if (value.match(/^(false|no|off|0)$/i)) return false;
+			return new Error("Expected a boolean, got \"" + value + "\".");
+		}
+		if (typeof(prev) == 'string') return value;
+		if (value.match(/^(true|false)$/)) return (value == 'true');
+		if (value.match(/^\-?\d+(\.\d+)?$/)) return Number(value);
+		return value;
+	},
+	
+	applyConfigLayer: function(config, sources, layer, source, prefix) {
+		// deep merge layer into config, recording source of each leaf value
+		// source is a string, or a hash of dotted paths to strings
+		for (var key in layer) {
+			var dotted = (prefix ? (prefix + '.') : '') + key;
+			var value = layer[key];
+			
+			if (value && (typeof(value) == 'object') && !Tools.isaArray(value)) {
+				if (!config[key] || (typeof(config[key]) != 'object') || Tools.isaArray(config[key])) {
+					// object replaces scalar, so its source no longer applies
+					config[key] = {};
+					delete sources[dotted];
+				}
+				this.applyConfigLayer( config[key], sources, value, source, dotted );
+			}
+			else {
+				// scalar replaces any nested object, so drop sources of all keys beneath it
+				for (var sub in sources) {
+					if (sub.indexOf(dotted + '.') === 0) delete sources[sub];
+				}
+				config[key] = value;
+				sources[dotted] = (typeof(source) == 'string') ? source : source[dotted];
+			}
+		}
+	},
+	
+	configTable: function(args) {
+		// render current config as table of keys, values and sources (for --show-config)
+		// honors --format, so it can also be dumped as json, csv, etc.
+		var rows = [];
+		var sources = this.configSources || {};
+		
+		var walk = function(obj, prefix) {
+			// walk config tree rather than splitting dotted paths, as key names may contain dots
+			for (var key in obj) {
+				var dotted = (prefix ? (prefix + '.') : '') + key;
+				var value = obj[key];
+				if (value && (typeof(value) == 'object') && !Tools.isaArray(value)) walk( value, dotted );
+				else rows.push([ dotted, (typeof(value) == 'string') ? value : JSON.stringify(value), sources[dotted] || '' ]);
+			}
+		};
+		walk( this.config || {}, '' );
+		
+		rows.sort( function(a, b) { return (a[0] < b[0]) ? -1 : ((a[0] > b[0]) ? 1 : 0); } );
+		rows.unshift([ "Key", "Value", "Source" ]);
+		
+		return this.formatRows( rows, args );
+	},
+	
+	jsonPretty: function(mixed) {
+		// return pretty-printed JSON (which I always forget how to do in Node)
+		return JSON.stringify( mixed, null, "\t" );
+	},
+	
+	// defaults for inspect(), override per call
+	inspectDefaults: {
+		indent: 2,
+		compact: false,
+		maxDepth: 0,
+		maxItems: 0,
+		maxString: 0,
+		sortKeys: false,
+		color: true
 	},
 	
-	autoFitTableRows: function(rows, args) {
-		// add ellipsis to rows as needed to fit entire table into horiz terminal width
+	inspect: function(value, opts) {
+		// pretty-print JSON-compatible value with syntax highlighting, returns string
+		// circular references are shown as [Circular] instead of throwing
 		var self = this;
-		var avail_width = (this.width() - (stringWidth(args.indent) * 2));
-		if (avail_width < 1) return;
+		var args = Tools.mergeHashes( this.inspectDefaults, opts || {} );
+		var styles = args.color ? Tools.mergeHashes( this.theme.json, args.styles || {} ) : {};
+		var indent = (typeof(args.indent) == 'number') ? this.space(args.indent) : args.indent;
+		var ancestors = [];
 		
-		var max_col_widths = [];
-		rows.forEach( function(cols, idx) {
-			cols.forEach( function(col, idy) {
-				max_col_widths[idy] = Math.max( max_col_widths[idy] || 0, stringWidth(''+col) );
-			} );
-		} );
+		var style = function(text, key) {
+			return self.applyStyles( text, styles[key] );
+		};
+		var summary = function(count, noun) {
+			return count + " " + noun + ((count == 1) ? "" : "s");
+		};
 		
-		var measureTableWidth = function() {
-			// measure table width with current settings and max_col_widths "virtually" applied
-			var widestCols = [];
-			rows.forEach( function(cols, idx) {
-				cols.forEach( function(col, idy) {
-					var sw = Math.min( stringWidth(''+col), max_col_widths[idy] );
-					widestCols[idy] = Math.max( widestCols[idy] || 0, sw + 2 );
-				} );
-			} );
+		var render = function(value, depth, pad) {
+			if (value && (typeof(value.toJSON) == 'function')) value = value.toJSON();
 			
-			var numCols = widestCols.length;
-			var line = "┌";
-			widestCols.forEach( function(num, idx) {
-				line += self.repeat("─", num);
-				if (idx < numCols - 1) line += "┬";
+			switch (typeof(value)) {
+				case 'string':
+					if (args.maxString && (value.length > args.maxString)) value = value.substring(0, args.maxString) + '…';
+					return style( JSON.stringify(value), 'string' );
+				
+				case 'number': return isFinite(value) ? style( '' + value, 'number' ) : style( 'null', 'null' );
+				case 'boolean': return style( '' + value, 'boolean' );
+				case 'object': if (value !== null) break;
+				default: return style( 'null', 'null' );
+			}
+			if (ancestors.indexOf(value) > -1) return style( '[Circular]', 'marker' );
+			
+			// same as JSON, undefined and function values are omitted from objects
+			var is_array = Tools.isaArray(value);
+			var keys = is_array ? null : Object.keys(value).filter( function(key) {
+				return (value[key] !== undefined) && (typeof(value[key]) != 'function');
 			} );
-			line += "┐";
+			if (keys && args.sortKeys) keys.sort();
 			
-			return line.length;
-		}; // measureTableWidth
-		
-		// now keep chopping down max_col_widths until we fit
-		while (measureTableWidth() > avail_width) {
-			// find largest max_col_widths and decrement it by 1
-			var longest_col_width = Math.max.apply( Math, max_col_widths );
-			if (longest_col_width < 2) return; // e-brake
+			var count = is_array ? value.length : keys.length;
+			var noun = is_array ? 'item' : 'key';
+			var open = style( is_array ? '[' : '{', 'punctuation' );
+			var close = style( is_array ? ']' : '}', 'punctuation' );
+			if (!count) return open + close;
+			if (args.maxDepth && (depth >= args.maxDepth)) return open + style( ' ' + summary(count, noun) + ' ', 'marker' ) + close;
 			
-			var longest_col_idx = max_col_widths.indexOf(longest_col_width);
-			if (longest_col_idx == -1) return; // sanity
+			ancestors.push( value );
+			var inner = pad + indent;
+			var limit = (args.maxItems && (count > args.maxItems)) ? args.maxItems : count;
+			var items = [];
 			
-			max_col_widths[longest_col_idx]--;
-		}
+			for (var idx = 0; idx < limit; idx++) {
+				if (is_array) items.push( render(value[idx], depth + 1, inner) );
+				else items.push( style( JSON.stringify(keys[idx]), 'key' ) + style( ':', 'punctuation' ) + ' ' + render(value[ keys[idx] ], depth + 1, inner) );
+			}
+			if (limit < count) items.push( style( '... ' + summary(count - limit, 'more ' + noun), 'marker' ) );
+			ancestors.pop();
+			
+			if (args.compact) return open + items.join( style( ',', 'punctuation' ) + ' ' ) + close;
+			return open + "\n" + inner + items.join( style( ',', 'punctuation' ) + "\n" + inner ) + "\n" + pad + close;
+		};
 		
-		// finally prune affected columns, trying to preserve ANSI color inside column value
-		rows.forEach( function(cols, idx) {
-			cols.forEach( function(col, idy) {
-				col = '' + col;
-				if (stringWidth(col) > max_col_widths[idy]) {
-					var suffix = '';
-					var prefix = '';
-					
-					while (col.match(/^(\u001b\[[^m]*?m)/)) {
-						prefix += RegExp.$1;
-						col = col.replace(/^(\u001b\[[^m]*?m)/, '');
-					}
-					
-					while (col.match(/(\u001b\[[^m]*?m)$/)) {
-						suffix = RegExp.$1 + suffix;
-						col = col.replace(/(\u001b\[[^m]*?m)$/, '');
-					}
+		return render( value, 0, '' );
+	},
+	
+	objectChanges: function(a, b) {
+		// compare two JSON-compatible values, return array of { path, type, from, to }
+		// type is one of `added`, `removed` or `changed`, and path uses dots for keys and brackets for array indexes
+		var changes = [];
+		var ancestors = [];
+		
+		var compare = function(a, b, prefix) {
+			var both = a && b && (typeof(a) == 'object') && (typeof(b) == 'object') && (Tools.isaArray(a) == Tools.isaArray(b));
+			if (both && (a !== b) && (ancestors.indexOf(a) == -1)) {
+				var is_array = Tools.isaArray(a);
+				var keys = is_array ? [] : Object.keys(a);
+				if (is_array) for (var idx = 0, len = Math.max(a.length, b.length); idx < len; idx++) keys.push( idx );
+				else Object.keys(b).forEach( function(key) { if (!(key in a)) keys.push( key ); } );
+				
+				ancestors.push( a );
+				keys.forEach( function(key) {
+					var path = is_array ? (prefix + '[' + key + ']') : (prefix ? (prefix + '.' + key) : key);
+					var has_a = is_array ? (key < a.length) : (key in a);
+					var has_b = is_array ? (key < b.length) : (key in b);
 					
-					cols[idy] = prefix + col.substring(0, max_col_widths[idy] - 1) + '…' + suffix;
-				} // too wide
-			});
-		});
+					if (!has_b) changes.push({ path: path, type: 'removed', from: a[key] });
+					else if (!has_a) changes.push({ path: path, type: 'added', to: b[key] });
+					else compare( a[key], b[key], path );
+				} );
+				ancestors.pop();
+			}
+			else if (!both && (a !== b)) {
+				changes.push({ path: prefix, type: 'changed', from: a, to: b });
+			}
+		};
+		
+		compare( a, b, '' );
+		return changes;
 	},
 	
-	table: function(rows, args) {
-		// render table of cols/rows with unicode borders
-		// rows should be an array of arrays (columns), with row 0 being the header
+	diffObjects: function(a, b, opts) {
+		// render structural diff of two objects, one line per added, removed or changed key
+		// returns empty string if objects are equal
 		var self = this;
+		if (!opts) opts = {};
+		var styles = ('color' in opts) && !opts.color ? {} : Tools.mergeHashes( this.theme.diff, opts.styles || {} );
+		var value_opts = Tools.mergeHashes( { maxString: 60, maxItems: 5 }, opts );
+		value_opts.compact = true;
 		
-		// optional args
-		if (!args) args = {};
-		args.headerStyles = args.headerStyles || ["bold", "yellow"];
-		args.borderStyles = args.borderStyles || ["gray"];
-		args.textStyles = args.textStyles || ["cyan"];
-		args.indent = args.indent || "";
-		if (typeof(args.indent) == 'number') args.indent = cli.space(args.indent);
+		var value = function(mixed) {
+			return self.inspect( mixed, value_opts );
+		};
 		
-		if (args.autoFit) this.autoFitTableRows(rows, args);
+		return this.objectChanges( a, b ).map( function(change) {
+			var path = change.path || '(root)';
+			switch (change.type) {
+				case 'added': return self.applyStyles( '+ ' + path, styles.added ) + ': ' + value(change.to);
+				case 'removed': return self.applyStyles( '- ' + path, styles.removed ) + ': ' + value(change.from);
+				default: return self.applyStyles( '~ ' + path, styles.changed ) + ': ' + value(change.from) + ' → ' + value(change.to);
+			}
+		} ).join("\n");
+	},
+	
+	diffLines: function(a, b) {
+		// compute shortest line diff using myers algorithm (linear space variant)
+		// returns array of { type, text } where type is ' ' (same), '-' (removed) or '+' (added)
+		var edits = [];
+		diffSequence( a, b, edits );
 		
-		// calculate widest columns (+1spc of hpadding)
-		var widestCols = [];
-		rows.forEach( function(cols, idx) {
-			cols.forEach( function(col, idy) {
-				widestCols[idy] = Math.max( widestCols[idy] || 0, stringWidth(''+col) + 2 );
-			} );
+		// within each block of changes, list removals before additions (like GNU diff)
+		var output = [];
+		var added = [];
+		edits.forEach( function(edit) {
+			if (edit.type == '+') return added.push( edit );
+			if (edit.type == ' ') { output = output.concat( added ); added = []; }
+			output.push( edit );
 		} );
+		return output.concat( added );
+	},
+	
+	diffText: function(a, b, opts) {
+		// render unified line diff of two text blobs, with colored hunks
+		// returns empty string if text is identical
+		// opts: { from, to, context, header, color, styles }
+		var self = this;
+		if (!opts) opts = {};
+		var styles = ('color' in opts) && !opts.color ? {} : Tools.mergeHashes( this.theme.diff, opts.styles || {} );
+		var context = ('context' in opts) ? opts.context : 3;
 		
-		var numCols = widestCols.length;
-		var output = [];
+		var split = function(text) {
+			var lines = ('' + text).split(/\r?\n/);
+			if (lines.length && (lines[lines.length - 1] === '')) lines.pop();
+			return lines;
+		};
+		var edits = this.diffLines( split(a), split(b) );
 		
-		// top border
-		var line = "┌";
-		widestCols.forEach( function(num, idx) {
-			line += self.repeat("─", num);
-			if (idx < numCols - 1) line += "┬";
-		} );
-		line += "┐";
-		output.push( args.indent + this.applyStyles(line, args.borderStyles) );
+		// number each edit by position in both files, and group changes with surrounding context into hunks
+		var hunks = [];
+		var hunk = null;
+		var pos_a = 0;
+		var pos_b = 0;
 		
-		// header row
-		var line = this.applyStyles("│", args.borderStyles);
-		rows.shift().forEach( function(col, idx) {
-			col = self.applyStyles(" " + col + " ", args.headerStyles);
-			line += self.pad(col, widestCols[idx]) + self.applyStyles("│", args.borderStyles);
+		edits.forEach( function(edit, idx) {
+			edit.a = pos_a;
+			edit.b = pos_b;
+			if (edit.type != '+') pos_a++;
+			if (edit.type != '-') pos_b++;
+			if (edit.type == ' ') return;
+			
+			var start = Math.max( 0, idx - context );
+			var end = Math.min( edits.length - 1, idx + context );
+			if (hunk && (start <= hunk.end + 1)) hunk.end = end;
+			else hunks.push( hunk = { start: start, end: end } );
 		} );
-		output.push(args.indent + line);
+		if (!hunks.length) return '';
 		
-		// header divider
-		var line = "├";
-		widestCols.forEach( function(num, idx) {
-			line += self.repeat("─", num);
-			if (idx < numCols - 1) line += "┼";
-		} );
-		line += "┤";
-		output.push( args.indent + this.applyStyles(line, args.borderStyles) );
+		var output = [];
+		if (opts.header !== false) {
+			output.push( this.applyStyles( '--- ' + (opts.from || 'a'), styles.header ) );
+			output.push( this.applyStyles( '+++ ' + (opts.to || 'b'), styles.header ) );
+		}
 		
-		// main content
-		rows.forEach( function(cols, idx) {
-			var line = self.applyStyles("│", args.borderStyles);
-			cols.forEach( function(col, idy) {
-				col = self.applyStyles(" " + col + " ", args.textStyles);
-				line += self.pad(col, widestCols[idy]) + self.applyStyles("│", args.borderStyles);
+		hunks.forEach( function(hunk) {
+			var lines = edits.slice( hunk.start, hunk.end + 1 );
+			var count_a = lines.filter( function(edit) { return edit.type != '+'; } ).length;
+			var count_b = lines.filter( function(edit) { return edit.type != '-'; } ).length;
+			
+			// empty ranges refer to the line before, per unified diff format
+			var range = function(pos, count) {
+				return (count ? (pos + 1) : pos) + ',' + count;
+			};
+			output.push( self.applyStyles( '@@ -' + range(lines[0].a, count_a) + ' +' + range(lines[0].b, count_b) + ' @@', styles.hunk ) );
+			
+			lines.forEach( function(edit) {
+				var key = (edit.type == '+') ? 'added' : ((edit.type == '-') ? 'removed' : 'context');
+				output.push( self.applyStyles( edit.type + edit.text, styles[key] ) );
 			} );
-			output.push(args.indent + line);
-		} );
-		
-		// bottom border
-		var line = "└";
-		widestCols.forEach( function(num, idx) {
-			line += self.repeat("─", num);
-			if (idx < numCols - 1) line += "┴";
 		} );
-		line += "┘";
-		output.push( args.indent + this.applyStyles(line, args.borderStyles) );
 		
 		return output.join("\n");
 	},
 	
-	loadFile: function(file) {
-		// load file into memory synchronously, return string
-		return fs.readFileSync( file, { encoding: 'utf8' } );
+	stripColor: function(text) {
+		// strip ANSI colors from text
+		return text.replace( this.ansiPattern, '' );
 	},
 	
-	saveFile: function(file, content) {
-		// save file to disk synchronously
-		fs.writeFileSync( file, content );
+	// log levels, in order of severity
+	logLevels: { debug: 1, info: 2, warn: 3, error: 4 },
+	
+	// default log file options
+	logDefaults: {
+		level: 'debug',
+		format: 'text',
+		fields: null,
+		buffer: false,
+		flushInterval: 1000,
+		maxSize: 0,
+		rotate: false,
+		maxFiles: 5
 	},
 	
-	appendFile: function(file, content) {
-		// append to file synchronously
-		fs.appendFileSync( file, content );
+	setLogFile: function(file, opts) {
+		// log all output from our print methods to file
+		var self = this;
+		if (this.logFile) this.flushLog();
+		
+		this.logFile = file;
+		this.logArgs = Tools.mergeHashes( this.logDefaults, opts || {} );
+		this.logBuffer = [];
+		
+		if (typeof(this.logArgs.maxSize) == 'string') this.logArgs.maxSize = Tools.getBytesFromText(this.logArgs.maxSize);
+		if (!this.logLevels[this.logArgs.level]) throw new Error("Unknown log level: " + this.logArgs.level);
+		if (this.logArgs.rotate && !this.logPeriodFormats[this.logArgs.rotate]) {
+			throw new Error("Unknown log rotation period: " + this.logArgs.rotate);
+		}
+		
+		// track current file size and date period, for rotation
+		this.logSize = 0;
+		this.logPeriod = this.getLogPeriod( Tools.timeNow() );
+		if (file) try {
+			var stats = fs.statSync(file);
+			this.logSize = stats.size;
+			this.logPeriod = this.getLogPeriod( stats.mtime.getTime() / 1000 );
+		}
+		catch (err) {;}
+		
+		// drop the exit hook for the previous file, if any
+		if (this.logExitHook) {
+			this.unhookProcess( this.logExitHook );
+			this.logExitHook = null;
+		}
+		
+		if (file) {
+			// make sure buffered lines hit the disk before we exit
+			this.logExitHook = this.hookProcess( 'exit', function() { self.flushLog(true); } );
+		}
 	},
 	
-	jsonPretty: function(mixed) {
-		// return pretty-printed JSON (which I always forget how to do in Node)
-		return JSON.stringify( mixed, null, "\t" );
+	log: function(msg, level, fields) {
+		// log something (if log file is configured)
+		// level is optional (defaults to info), fields are extra properties for json format
+		if (!this.logFile) return;
+		if (level && (typeof(level) == 'object')) { fields = level; level = null; }
+		if (!level) level = 'info';
+		
+		var opts = this.logArgs || this.logDefaults;
+		if (!this.logLevels[level]) throw new Error("Unknown log level: " + level);
+		if (this.logLevels[level] < this.logLevels[opts.level]) return;
+		
+		if (typeof(msg) == 'object') msg = JSON.stringify(msg);
+		else if (!msg.match(/\S/)) return; // skip whitespace
+		msg = this.stripColor(msg.trim()).trim();
+		
+		var now = Tools.timeNow();
+		var dargs = Tools.getDateArgs( now );
+		var line = '';
+		
+		if (opts.format == 'json') {
+			var record = { time: now, date: dargs.yyyy_mm_dd + ' ' + dargs.hh_mi_ss, level: level, msg: msg };
+			if (opts.fields) Tools.mergeHashInto( record, opts.fields );
+			if (fields) Tools.mergeHashInto( record, fields );
+			line = JSON.stringify(record) + "\n";
+		}
+		else line = '[' + dargs.yyyy_mm_dd + ' ' + dargs.hh_mi_ss + '] ' + msg + "\n";
+		
+		if (!this.logBuffer) this.logBuffer = [];
+		this.logBuffer.push( line );
+		
+		if (!opts.buffer) this.flushLog();
+		else if (!this.logTimer) {
+			var self = this;
+			this.logTimer = setTimeout( function() {
+				self.logTimer = null;
+				self.writeLog();
+			}, opts.flushInterval );
+			this.logTimer.unref();
+		}
 	},
 	
-	stripColor: function(text) {
-		// strip ANSI colors from text
-		return text.replace( this.ansiPattern, '' );
+	writeLog: function() {
+		// asynchronously append buffered lines to log file
+		var self = this;
+		if (this.logWriting || !this.logBuffer || !this.logBuffer.length || !this.logFile) return;
+		
+		this.rotateLog();
+		var file = this.logFile;
+		var chunk = Buffer.from( this.logBuffer.join('') );
+		var fd = null;
+		var start = 0;
+		
+		try {
+			fd = fs.openSync( file, 'a+' );
+			start = fs.fstatSync(fd).size;
+		}
+		catch (err) {
+			this.stderr.write("Failed to write to log file: " + file + ": " + err + "\n");
+			if (fd !== null) fs.closeSync(fd);
+			return;
+		}
+		
+		// remember where the chunk should land, so flushLog() can tell if it made it before we exit
+		var pending = this.logPending = { fd: fd, chunk: chunk, start: start };
+		this.logBuffer = [];
+		this.logWriting = true;
+		this.logSize += chunk.length;
+		
+		fs.appendFile( fd, chunk, function(err) {
+			fs.close( fd, function() {} );
+			self.logWriting = false;
+			if (self.logPending !== pending) return; // already handled by flushLog()
+			self.logPending = null;
+			
+			if (err) {
+				// put lines back, so they are retried on the next write or flush
+				self.stderr.write("Failed to write to log file: " + file + ": " + err + "\n");
+				self.logBuffer = [ chunk.toString() ].concat( self.logBuffer );
+				self.logSize -= chunk.length;
+			}
+			else if (self.logBuffer.length && !self.logTimer) self.writeLog();
+		} );
 	},
 	
-	setLogFile: function(file) {
-		// log all output from our print methods to file
-		this.logFile = file;
+	flushLog: function(exiting) {
+		// synchronously write all buffered lines to log file (called automatically on exit)
+		// an async write still in flight is left to finish on its own, unless we are exiting
+		if (this.logTimer) { clearTimeout(this.logTimer); this.logTimer = null; }
+		
+		var pending = this.logPending;
+		if (pending && exiting) {
+			// the write may already be under way in another thread, so give it up to a second to land
+			// other processes may append to the same file, so look for the chunk anywhere after where it started
+			// if it still hasn't made it, append it ourselves
+			this.logPending = null;
+			var nap = new Int32Array( new SharedArrayBuffer(4) );
+			var landed = function() {
+				var size = fs.fstatSync(pending.fd).size;
+				if (size < pending.start + pending.chunk.length) return false;
+				var tail = Buffer.alloc( size - pending.start );
+				fs.readSync( pending.fd, tail, 0, tail.length, pending.start );
+				return (tail.indexOf(pending.chunk) > -1);
+			};
+			var done = landed();
+			for (var waited = 0; !done && (waited < 1000); waited += 10) {
+				Atomics.wait( nap, 0, 0, 10 );
+				done = landed();
+			}
+			if (!done) fs.writeSync( pending.fd, pending.chunk );
+		}
+		
+		if (!this.logBuffer || !this.logBuffer.length || !this.logFile) return;
+		
+		this.rotateLog();
+		var chunk = this.logBuffer.join('');
+		this.logBuffer = [];
+		this.logSize += Buffer.byteLength(chunk);
+		fs.appendFileSync( this.logFile, chunk );
 	},
 	
-	log: function(msg) {
-		// log something (if log file is configured)
-		if (this.logFile) {
-			if (typeof(msg) == 'object') msg = JSON.stringify(msg);
-			else if (!msg.match(/\S/)) return; // skip whitespace
-			var dargs = Tools.getDateArgs( Tools.timeNow() );
-			var line = '[' + dargs.yyyy_mm_dd + ' ' + dargs.hh_mi_ss + '] ' + this.stripColor(msg.trim()).trim() + "\n";
-			fs.appendFileSync( this.logFile, line );
+	// date formats for date-based log rotation
+	logPeriodFormats: {
+		hourly: '[yyyy]-[mm]-[dd]-[hh]',
+		daily: '[yyyy]-[mm]-[dd]',
+		monthly: '[yyyy]-[mm]'
+	},
+	
+	getLogPeriod: function(epoch) {
+		// get date stamp for rotation period containing epoch
+		var fmt = this.logArgs ? this.logPeriodFormats[this.logArgs.rotate] : null;
+		return fmt ? Tools.formatDate(epoch, fmt) : '';
+	},
+	
+	rotateLog: function() {
+		// rotate log file if it has grown too large, or its date period has passed
+		var opts = this.logArgs;
+		var file = this.logFile;
+		if (!opts) return;
+		var rotated = false;
+		
+		var period = opts.rotate ? this.getLogPeriod( Tools.timeNow() ) : '';
+		if (opts.rotate && (period != this.logPeriod) && !this.logSize) this.logPeriod = period;
+		
+		if (opts.rotate && (period != this.logPeriod)) {
+			// myapp.log --> myapp.2019-05-18.log
+			var ext = path.extname(file);
+			var base = path.basename(file, ext);
+			var dir = path.dirname(file);
+			var pattern = new RegExp( '^' + Tools.escapeRegExp(base) + '\\.\\d{4}-\\d{2}(-\\d{2})?(-\\d{2})?' + Tools.escapeRegExp(ext) + '$' );
+			
+			try { fs.renameSync( file, path.join(dir, base + '.' + this.logPeriod + ext) ); }
+			catch (err) {;}
+			this.logPeriod = period;
+			
+			if (opts.maxFiles) {
+				// prune oldest archives (date stamps sort lexically)
+				var archives = fs.readdirSync(dir).filter( function(name) { return name.match(pattern); } ).sort();
+				archives.slice( 0, Math.max(0, archives.length - opts.maxFiles) ).forEach( function(name) {
+					try { fs.unlinkSync( path.join(dir, name) ); } catch (err) {;}
+				} );
+			}
+			rotated = true;
 		}
+		
+		// size limit applies within each date period too
+		if (!rotated && opts.maxSize && (this.logSize >= opts.maxSize)) {
+			// myapp.log --> myapp.log.1 --> myapp.log.2 ...
+			var max = opts.maxFiles || 1;
+			try { fs.unlinkSync( file + '.' + max ); } catch (err) {;}
+			for (var idx = max - 1; idx >= 1; idx--) {
+				try { fs.renameSync( file + '.' + idx, file + '.' + (idx + 1) ); } catch (err) {;}
+			}
+			try { fs.renameSync( file, file + '.1' ); } catch (err) {;}
+			rotated = true;
+		}
+		
+		if (rotated) this.logSize = 0;
 	},
 	
-	print: function(msg) {
+	print: function(msg, level) {
 		// print message to console
 		if (!this.args.quiet) {
+			var repl = this.activeRepl && this.activeRepl.idle;
+			if (repl) this.clearPrompt();
 			if (this.progress.running) this.progress.erase();
-			process.stdout.write(msg);
+			if (this.progress.activeGroup) this.progress.activeGroup.erase();
+			this.stdout.write(msg);
 			if (this.progress.running) this.progress.draw();
+			if (this.progress.activeGroup) this.progress.activeGroup.draw();
+			if (repl) this.restorePrompt();
 		}
-		this.log(msg);
+		this.log(msg, level || 'info');
 	},
 	
 	println: function(msg) {
@@ -447,8 +4228,8 @@ var cli = module.exports = {
 	
 	verbose: function(msg) {
 		// print only in verbose mode
-		if (this.args.verbose) this.print(msg);
-		else this.log(msg);
+		if (this.args.verbose) this.print(msg, 'debug');
+		else this.log(msg, 'debug');
 	},
 	
 	verboseln: function(msg) {
@@ -456,14 +4237,19 @@ var cli = module.exports = {
 		this.verbose( msg + "\n" );
 	},
 	
-	warn: function(msg) {
+	warn: function(msg, level) {
 		// print to stderr
 		if (!this.args.quiet) {
+			var repl = this.activeRepl && this.activeRepl.idle;
+			if (repl) this.clearPrompt();
 			if (this.progress.running) this.progress.erase();
-			process.stderr.write(msg);
+			if (this.progress.activeGroup) this.progress.activeGroup.erase();
+			this.stderr.write(msg);
 			if (this.progress.running) this.progress.draw();
+			if (this.progress.activeGroup) this.progress.activeGroup.draw();
+			if (repl) this.restorePrompt();
 		}
-		this.log(msg);
+		this.log(msg, level || 'warn');
 	},
 	
 	warnln: function(msg) {
@@ -474,8 +4260,10 @@ var cli = module.exports = {
 	die: function(msg) {
 		// print to stderr and exit with non-zero code
 		if (this.progress.running) this.progress.end();
-		this.warn(msg);
-		process.exit(1);
+		if (this.progress.activeGroup) this.progress.activeGroup.end();
+		this.warn(msg, 'error');
+		this.flushLog(true);
+		this.exit(1);
 	},
 	
 	dieln: function(msg) {
@@ -493,7 +4281,7 @@ var cli = module.exports = {
 		global.Tools = Tools;
 		
 		// bind wrap functions
-		["prompt", "yesno", "table", "box", "wrap", "center", "print", "println", "verbose", "verboseln", "warn", "warnln", "die", "dieln", "loadFile", "saveFile", "appendFile"].forEach( function(func) {
+		["prompt", "yesno", "ask", "confirm", "select", "multiSelect", "password", "table", "box", "wrap", "center", "print", "println", "verbose", "verboseln", "warn", "warnln", "die", "dieln", "loadFile", "saveFile", "appendFile"].forEach( function(func) {
 			global[func] = self[func].bind(self);
 		} );
 		
@@ -503,29 +4291,26 @@ var cli = module.exports = {
 		} );
 		
 		// expose chalk styles as global keywords
-		["reset","bold","dim","italic","underline","inverse","hidden","strikethrough","black","red","green","yellow","blue","magenta","cyan","white","gray","grey","bgBlack","bgRed","bgGreen","bgYellow","bgBlue","bgMagenta","bgCyan","bgWhite"].forEach( function(key) {
-			global[key] = chalk[key];
+		chalkStyles.forEach( function(key) {
+			global[key] = self.chalk[key];
 		} );
 	},
 	
 	progress: {
 		// unicode progress bar
 		args: {},
+		
+		// cli instance that owns this progress object
+		cli: null,
+		
+		// process event handlers for the current session, removed by end()
+		hooks: [],
 		defaults: {
 			spinner: ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'],
 			braces: ['⟦', '⟧'],
 			filling: [' ', '⡀', '⡄', '⡆', '⡇', '⣇', '⣧', '⣷'],
 			filled: '⣿',
 			indent: "",
-			styles: {
-				spinner: ['bold', 'green'],
-				braces: ['gray'],
-				bar: ['bold', 'cyan'],
-				indeterminate: ['gray'],
-				pct: ['bold', 'yellow'],
-				remain: ['green'],
-				text: []
-			},
 			pct: true,
 			width: 30,
 			freq: 100,
@@ -535,7 +4320,14 @@ var cli = module.exports = {
 			catchInt: false,
 			catchTerm: false,
 			catchCrash: false,
-			exitOnSig: true
+			exitOnSig: true,
+			units: "",
+			amounts: false,
+			rate: false,
+			rateSmoothing: 0.3,
+			nonTTY: false,
+			nonTTYInterval: 10,
+			nonTTYStep: 10
 		},
 		asciiOverrides: {
 			spinner: ['|', '/', '-', "\\"],
@@ -544,11 +4336,9 @@ var cli = module.exports = {
 			braces: ['[', ']']
 		},
 		
-		start: function(overrides) {
-			// start new progress session
-			if (!cli.tty()) return;
-			
+		prepArgs: function(overrides) {
 			// copy defaults and apply user overrides
+			var cli = this.cli;
 			var args = Tools.copyHash( this.defaults );
 			Tools.mergeHashInto( args, overrides || {} );
 			
@@ -556,7 +4346,14 @@ var cli = module.exports = {
 			if (!args.max) args.max = 1.0;
 			if (!args.text) args.text = "";
 			if (!args.lastRemainCheck) args.lastRemainCheck = 0;
-			if (!args.timeStart) args.timeStart = Tools.timeNow();
+			if (!args.timeStart) args.timeStart = cli.clock.now();
+			if (!args.lastRateCheck) args.lastRateCheck = args.timeStart;
+			if (!args.lastRateAmount) args.lastRateAmount = args.amount;
+			if (!args.rateSmooth) args.rateSmooth = 0;
+			
+			// merge style overrides into theme (defaults.styles is still honored, from before themes existed)
+			var styles = Tools.mergeHashes( cli.theme.progress, this.defaults.styles || {} );
+			args.styles = Tools.mergeHashes( styles, (overrides && overrides.styles) || {} );
 			
 			// no color?  wipe all chalk styles
 			if (!args.color) args.styles = {};
@@ -570,53 +4367,91 @@ var cli = module.exports = {
 			if (typeof(args.indent) == 'number') args.indent = cli.space(args.indent);
 			args.indent = args.indent.replace(/\t/g, "    ");
 			
+			return args;
+		},
+		
+		start: function(overrides) {
+			// start new progress session
+			var self = this;
+			var cli = this.cli;
+			var args = this.prepArgs( overrides );
+			if (!cli.tty()) return this.startPlain( args );
+			
 			this.args = args;
 			this.running = true;
 			this.spinFrame = 0;
 			this.lastLine = "";
 			
 			this.draw();
-			this.timer = setInterval( this.draw.bind(this), args.freq );
+			this.timer = cli.clock.setInterval( this.draw.bind(this), args.freq );
 			
 			// hide CLI cursor
-			if (!this.args.quiet) process.stdout.write('\u001b[?25l');
+			if (!this.args.quiet) cli.stdout.write('\u001b[?25l');
 			
-			// just in case
-			process.once('exit', function() {
-				if (cli.progress.running) cli.progress.end();
+			// just in case (removed again by end)
+			var hook = function(event, handler) {
+				self.hooks.push( cli.hookProcess(event, handler) );
+			};
+			
+			hook( 'exit', function() {
+				if (self.running) self.end();
 			} );
 			
 			if (args.catchInt) {
-				process.once('SIGINT', function() {
-					if (cli.progress.running) cli.progress.end();
-					if (args.exitOnSig) process.exit(128 + 2);
+				hook( 'SIGINT', function() {
+					if (self.running) self.end();
+					if (args.exitOnSig) cli.exit(128 + 2);
 				} );
 			}
 			if (args.catchTerm) {
-				process.once('SIGTERM', function() {
-					if (cli.progress.running) cli.progress.end();
-					if (args.exitOnSig) process.exit(128 + 15);
+				hook( 'SIGTERM', function() {
+					if (self.running) self.end();
+					if (args.exitOnSig) cli.exit(128 + 15);
 				} );
 			}
 			if (args.catchCrash) {
-				process.once('uncaughtException', function() {
-					if (cli.progress.running) cli.progress.end();
+				hook( 'uncaughtException', function() {
+					if (self.running) self.end();
 				} );
 			}
 		},
 		
 		draw: function() {
 			// draw progress bar, spinner
+			var cli = this.cli;
 			if (!this.running) return;
 			if (!cli.tty()) return;
+			if (cli.activeRepl && cli.activeRepl.idle) return; // don't draw over repl prompt
+			
+			var line = this.render( this.args, this.spinFrame++ );
 			
-			var args = this.args;
+			// clean up last line
+			if (this.lastLine) {
+				var curWidth = stringWidth(line);
+				var lastWidth = stringWidth(this.lastLine);
+				if (curWidth < lastWidth) {
+					line += cli.space(lastWidth - curWidth);
+				}
+			}
+			
+			if (!this.args.quiet) cli.stdout.write( line + "\r" );
+			this.lastLine = line;
+		},
+		
+		render: function(args, frame) {
+			// render progress bar line from args, return string
+			var cli = this.cli;
 			var line = args.indent;
 			
 			// spinner
-			line += cli.applyStyles( args.spinner[ this.spinFrame++ % args.spinner.length ], args.styles.spinner );
+			line += cli.applyStyles( args.spinner[ frame % args.spinner.length ], args.styles.spinner );
 			line += " ";
 			
+			// label (padded so bars in a group line up)
+			if (args.label) {
+				line += cli.applyStyles( cli.pad(args.label, args.labelWidth || 0), args.styles.label ) + " ";
+			}
+			
 			// progress bar
 			line += cli.applyStyles( args.braces[0], args.styles.braces );
 			var bar = "";
@@ -639,8 +4474,21 @@ var cli = module.exports = {
 				line += cli.applyStyles( pct, args.styles.pct );
 			}
 			
+			// amount / max
+			if (args.amounts) {
+				line += " ";
+				line += cli.applyStyles( this.formatAmount(args, args.amount) + " / " + this.formatAmount(args, args.max), args.styles.amounts );
+			}
+			
+			// throughput
+			var now = cli.clock.now();
+			if (args.rate) {
+				this.measureRate( args, now );
+				line += " ";
+				line += cli.applyStyles( this.formatAmount(args, args.rateSmooth) + "/sec", args.styles.rate );
+			}
+			
 			// remaining
-			var now = Tools.timeNow();
 			var elapsed = now - args.timeStart;
 			
 			if ((args.amount > 0) && (args.amount < args.max) && (elapsed >= 5) && args.remain) {
@@ -659,60 +4507,351 @@ var cli = module.exports = {
 				line += cli.applyStyles( args.text.trim(), args.styles.text );
 			}
 			
-			// clean up last line
-			if (this.lastLine) {
-				var curWidth = stringWidth(line);
-				var lastWidth = stringWidth(this.lastLine);
-				if (curWidth < lastWidth) {
-					line += cli.space(lastWidth - curWidth);
-				}
-			}
+			return line;
+		},
+		
+		measureRate: function(args, now) {
+			// sample throughput once per second, with exponential smoothing
+			var elapsed = now - args.lastRateCheck;
+			if (elapsed < 1.0) return args.rateSmooth;
 			
-			if (!this.args.quiet) process.stdout.write( line + "\r" );
-			this.lastLine = line;
+			var rate = Math.max(0, args.amount - args.lastRateAmount) / elapsed;
+			args.rateSmooth = args.rateSmooth ? ((rate * args.rateSmoothing) + (args.rateSmooth * (1 - args.rateSmoothing))) : rate;
+			args.lastRateCheck = now;
+			args.lastRateAmount = args.amount;
+			return args.rateSmooth;
+		},
+		
+		formatAmount: function(args, value) {
+			// format amount, max or rate based on units
+			var cli = this.cli;
+			if (args.units == 'bytes') return cli.getTextFromBytes( Math.floor(value) );
+			if (args.units == 'items') return cli.commify( Math.floor(value) );
+			return '' + cli.shortFloat(value);
+		},
+		
+		stream: function(overrides) {
+			// return pass-through stream which starts progress and updates it as data flows through
+			// progress ends automatically when the stream finishes
+			var self = this;
+			var args = this.streamArgs( overrides );
+			
+			this.start( args );
+			return this.counterStream( args, function(amount) {
+				if (args.max) self.update( amount );
+				else self.update({ amount: amount, max: amount, pct: false });
+			}, function() {
+				self.end();
+			} );
+		},
+		
+		streamArgs: function(overrides) {
+			// default args for stream progress: show amounts and throughput
+			if (!overrides) overrides = {};
+			return Tools.mergeHashes( {
+				units: overrides.objectMode ? 'items' : 'bytes',
+				amounts: true,
+				rate: true
+			}, overrides );
+		},
+		
+		counterStream: function(args, onUpdate, onEnd) {
+			// create transform stream that counts bytes (or objects) passing through
+			var amount = 0;
+			return new Transform({
+				objectMode: !!args.objectMode,
+				transform: function(chunk, encoding, callback) {
+					amount += args.objectMode ? 1 : chunk.length;
+					onUpdate( amount );
+					callback( null, chunk );
+				},
+				flush: function(callback) {
+					if (args.autoEnd !== false) onEnd();
+					callback();
+				}
+			});
 		},
 		
 		update: function(args) {
+			var cli = this.cli;
 			if (!this.running) return;
-			if (!cli.tty()) return;
-			
-			if (typeof(args) == 'number') {
+			if (!cli.tty() && !this.plain) return;
+			this.applyUpdate( this.args, args );
+			if (this.plain) this.plainStatus( this.args );
+		},
+		
+		applyUpdate: function(args, updates) {
+			// apply amount or hash of updates to progress args
+			if (typeof(updates) == 'number') {
 				// just updating the amount
-				this.args.amount = args;
+				args.amount = updates;
 			}
 			else {
 				// update any key/value pairs
-				for (var key in args) { 
-					this.args[key] = args[key]; 
+				for (var key in updates) { 
+					args[key] = updates[key]; 
 				}
 			}
-			this.args.amount = Math.max(0, Math.min(this.args.max, this.args.amount));
+			args.amount = Math.max(0, Math.min(args.max, args.amount));
 		},
 		
 		erase: function() {
 			// erase progress
+			var cli = this.cli;
 			if (!this.running) return;
 			if (!cli.tty()) return;
+			if (cli.activeRepl && cli.activeRepl.idle) return;
 			if (this.lastLine && !this.args.quiet) {
-				process.stdout.write( cli.space( stringWidth(this.lastLine) ) + "\r" );
+				cli.stdout.write( cli.space( stringWidth(this.lastLine) ) + "\r" );
 			}
 		},
 		
 		end: function(erase) {
 			// end of progress session
+			var cli = this.cli;
 			if (!this.running) return;
+			if (this.plain) return this.endPlain();
 			if (!cli.tty()) return;
 			
 			if (erase !== false) {
 			  this.erase();
 			}
-			clearTimeout( this.timer );
+			cli.clock.clearInterval( this.timer );
 			this.running = false;
 			this.args = {};
 			this.lastLine = '';
 			
+			this.hooks.forEach( function(handler) { cli.unhookProcess(handler); } );
+			this.hooks = [];
+			
 			// restore CLI cursor
-			if (!this.args.quiet) process.stdout.write('\u001b[?25h');
+			if (!this.args.quiet) cli.stdout.write('\u001b[?25h');
+		},
+		
+		startPlain: function(args) {
+			// start non-tty progress session, which prints throttled status lines (if enabled)
+			var cli = this.cli;
+			if (!args.nonTTY) return;
+			
+			this.args = args;
+			this.running = true;
+			this.plain = true;
+			
+			this.plainStatus( args, true );
+			this.timer = cli.clock.setInterval( this.plainStatus.bind(this, args, false), 1000 );
+		},
+		
+		endPlain: function() {
+			// end of non-tty progress session, print final status if we haven't already
+			var cli = this.cli;
+			cli.clock.clearInterval( this.timer );
+			if (!this.args.plainDone) this.plainStatus( this.args, true );
+			
+			this.running = false;
+			this.plain = false;
+			this.args = {};
+		},
+		
+		plainStatus: function(args, force) {
+			// print plain text or json status line for non-tty mode
+			// throttled to every `nonTTYInterval` seconds or `nonTTYStep` percent
+			var cli = this.cli;
+			var now = cli.clock.now();
+			var pct = Math.floor( Math.min(args.amount / args.max, 1.0) * 100 );
+			var done = (args.amount >= args.max);
+			
+			if (done && args.plainDone) return;
+			if (force && args.lastPlainTime && (pct === args.lastPlainPct) && !done) return; // nothing new to report
+			if (!force && !done && args.lastPlainTime) {
+				var step = args.nonTTYStep;
+				var elapsed_step = (now - args.lastPlainTime >= args.nonTTYInterval);
+				var pct_step = step && (Math.floor(pct / step) > Math.floor(args.lastPlainPct / step));
+				if (!elapsed_step && !pct_step) return;
+			}
+			
+			args.lastPlainTime = now;
+			args.lastPlainPct = pct;
+			if (done) args.plainDone = true;
+			
+			var elapsed = now - args.timeStart;
+			var remain = 0;
+			if ((args.amount > 0) && !done && (elapsed >= 5) && args.remain) {
+				remain = (elapsed / args.amount) * (args.max - args.amount);
+			}
+			
+			var line = '';
+			if (args.nonTTY == 'json') {
+				line = JSON.stringify({
+					type: 'progress',
+					label: args.label || '',
+					amount: args.amount,
+					max: args.max,
+					pct: pct,
+					elapsed: Math.floor(elapsed),
+					remain: Math.floor(remain),
+					rate: args.rate ? this.measureRate(args, now) : undefined,
+					text: args.text.trim(),
+					done: done
+				});
+			}
+			else {
+				line = args.indent + (args.label ? (args.label + ": ") : "") + pct + "%";
+				if (args.amounts) line += " " + this.formatAmount(args, args.amount) + " / " + this.formatAmount(args, args.max);
+				if (args.rate && !done && this.measureRate(args, now)) line += " " + this.formatAmount(args, args.rateSmooth) + "/sec";
+				if (done) line += " (done in " + cli.getTextFromSeconds( Math.max(1, Math.floor(elapsed)), false, true ) + ")";
+				else if (remain) line += " (" + cli.getNiceRemainingTime( elapsed, args.amount, args.max, true, true ) + " remain)";
+				if (args.text) line += " " + args.text.trim();
+			}
+			
+			if (!args.quiet) cli.println( line );
+			else cli.log( line );
+		},
+		
+		group: function(overrides) {
+			// start a group of concurrent progress bars, drawn together as a block of lines
+			// overrides apply to all bars, plus `total` to add a summary bar at the bottom
+			var cli = this.cli;
+			var progress = this;
+			if (!overrides) overrides = {};
+			
+			var group = {
+				args: overrides,
+				bars: [],
+				running: cli.tty(),
+				plain: !cli.tty() && !!(('nonTTY' in overrides) ? overrides.nonTTY : progress.defaults.nonTTY),
+				height: 0,
+				spinFrame: 0,
+				
+				add: function(bar_overrides) {
+					// add new bar to group, returns handle with update() and remove()
+					var bar = {
+						args: progress.prepArgs( Tools.mergeHashes(overrides, bar_overrides || {}) ),
+						update: function(updates) {
+							progress.applyUpdate( bar.args, updates );
+							if (group.plain) progress.plainStatus( bar.args );
+						},
+						remove: function() {
+							group.remove( bar );
+						},
+						stream: function(stream_overrides) {
+							// pass-through stream which updates this bar as data flows through
+							var args = progress.streamArgs( stream_overrides );
+							bar.update( args );
+							
+							return progress.counterStream( args, function(amount) {
+								if (args.max) bar.update( amount );
+								else bar.update({ amount: amount, max: amount, pct: false });
+							}, function() {
+								if (args.remove) bar.remove();
+							} );
+						}
+					};
+					group.bars.push( bar );
+					if (group.plain) progress.plainStatus( bar.args, true );
+					return bar;
+				},
+				
+				remove: function(bar) {
+					// remove bar from group, redraws block immediately
+					var idx = group.bars.indexOf(bar);
+					if (idx > -1) group.bars.splice( idx, 1 );
+					group.draw();
+				},
+				
+				draw: function() {
+					// draw all bars, then move cursor back to top of block
+					if (!group.running) return;
+					if (cli.activeRepl && cli.activeRepl.idle) return; // don't draw over repl prompt
+					var bars = group.bars.map( function(bar) { return bar.args; } );
+					
+					if (overrides.total && bars.length) {
+						// summary bar tracks average completion of all bars
+						var done = 0;
+						var amount = 0;
+						bars.forEach( function(args) {
+							amount += args.amount / args.max;
+							if (args.amount >= args.max) done++;
+						} );
+						group.totalArgs.amount = amount / bars.length;
+						group.totalArgs.text = done + " of " + bars.length + " complete";
+						bars = bars.concat( group.totalArgs );
+					}
+					
+					var labelWidth = 0;
+					bars.forEach( function(args) {
+						if (args.label) labelWidth = Math.max( labelWidth, stringWidth(args.label) );
+					} );
+					
+					var frame = group.spinFrame++;
+					var lines = bars.map( function(args) {
+						args.labelWidth = labelWidth;
+						return progress.render( args, frame );
+					} );
+					
+					var output = "\r\u001b[J" + lines.join("\n");
+					if (lines.length > 1) output += '\u001b[' + (lines.length - 1) + 'A';
+					if (!overrides.quiet) cli.stdout.write( output + "\r" );
+					group.height = lines.length;
+				},
+				
+				erase: function() {
+					// erase entire block (cursor is always left at the top)
+					if (!group.running) return;
+					if (cli.activeRepl && cli.activeRepl.idle) return;
+					if (!overrides.quiet) cli.stdout.write( "\r\u001b[J" );
+				},
+				
+				end: function(erase) {
+					// end of group progress session
+					if (group.plain) {
+						// non-tty mode, just print final status of any unfinished bars
+						cli.clock.clearInterval( group.timer );
+						group.bars.forEach( function(bar) { progress.plainStatus( bar.args, true ); } );
+						group.plain = false;
+						return;
+					}
+					if (!group.running) return;
+					
+					if (erase !== false) group.erase();
+					else {
+						// leave bars visible, move cursor below block
+						group.draw();
+						if (!overrides.quiet) cli.stdout.write( cli.repeat("\n", group.height) );
+					}
+					cli.clock.clearInterval( group.timer );
+					cli.unhookProcess( onExit );
+					group.running = false;
+					if (progress.activeGroup === group) delete progress.activeGroup;
+					
+					// restore CLI cursor
+					if (!overrides.quiet) cli.stdout.write('\u001b[?25h');
+				}
+			};
+			
+			if (group.plain) {
+				// non-tty mode, check all bars for time-based status lines
+				group.timer = cli.clock.setInterval( function() {
+					group.bars.forEach( function(bar) { progress.plainStatus( bar.args ); } );
+				}, 1000 );
+			}
+			if (!group.running) return group;
+			
+			group.totalArgs = progress.prepArgs( Tools.mergeHashes(overrides, {
+				label: (typeof(overrides.total) == 'string') ? overrides.total : "Total"
+			}) );
+			
+			this.activeGroup = group;
+			group.timer = cli.clock.setInterval( group.draw, overrides.freq || this.defaults.freq );
+			
+			// hide CLI cursor
+			if (!overrides.quiet) cli.stdout.write('\u001b[?25l');
+			
+			// just in case (removed again by end)
+			var onExit = cli.hookProcess( 'exit', function() {
+				if (group.running) group.end();
+			} );
+			
+			return group;
 		}
 	} // progress
 	
@@ -723,7 +4862,13 @@ var cli = module.exports = {
 	module.exports[func] = Tools[func].bind(Tools);
 } );
 
+// progress needs a reference back to its cli instance
+cli.progress.cli = cli;
+
+// apply color policy from env and cli args
+cli.setColor( cli.getColorArg() );
+
 // import chalk into our module
-["reset","bold","dim","italic","underline","inverse","hidden","strikethrough","black","red","green","yellow","blue","magenta","cyan","white","gray","grey","bgBlack","bgRed","bgGreen","bgYellow","bgBlue","bgMagenta","bgCyan","bgWhite"].forEach( function(key) {
+chalkStyles.forEach( function(key) {
 	module.exports[key] = chalk[key];
 } );
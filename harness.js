@@ -0,0 +1,210 @@
+// Virtual terminal harness for testing pixl-cli apps.
+// Copyright (c) 2016 - 2018 Joseph Huckaby
+// Released under the MIT License
+
+var Writable = require('stream').Writable;
+var Readable = require('stream').Readable;
+var Tools = require('pixl-tools');
+var cli = require('./cli.js');
+
+var createOutput = function(opts) {
+	// create writable stream which captures everything written to it
+	var stream = new Writable({
+		decodeStrings: false,
+		write: function(chunk, encoding, callback) {
+			stream.text += chunk.toString();
+			if (stream.onWrite) stream.onWrite();
+			callback();
+		}
+	});
+	
+	// pretend to be a terminal (or not)
+	stream.text = '';
+	stream.isTTY = opts.isTTY;
+	stream.columns = opts.columns;
+	stream.rows = opts.rows;
+	
+	stream.plain = function() {
+		// get captured text with all ANSI codes stripped
+		return cli.stripColor( stream.text );
+	};
+	stream.clear = function() {
+		// discard captured text
+		stream.text = '';
+	};
+	
+	return stream;
+};
+
+var createInput = function(opts) {
+	// create readable stream for feeding scripted answers
+	var stream = new Readable({ read: function() {} });
+	stream.isTTY = opts.isTTY;
+	stream.isRaw = false;
+	
+	if (opts.rawMode) {
+		// allow raw keypress mode, for select() and password()
+		stream.setRawMode = function(enabled) {
+			stream.isRaw = !!enabled;
+			if (stream.onRawMode) stream.onRawMode(enabled);
+			return stream;
+		};
+	}
+	return stream;
+};
+
+var createClock = function(epoch) {
+	// fake clock with manually advanced time and timers
+	var clock = {
+		time: epoch,
+		timers: [],
+		nextId: 1,
+		
+		now: function() {
+			// current fake time in epoch seconds
+			return clock.time;
+		},
+		
+		setInterval: function(callback, ms) {
+			// register fake interval timer, only fired by tick()
+			var timer = { id: clock.nextId++, callback: callback, ms: ms, next: clock.time + (ms / 1000) };
+			clock.timers.push( timer );
+			return timer.id;
+		},
+		
+		clearInterval: function(id) {
+			// remove fake interval timer
+			clock.timers = clock.timers.filter( function(timer) { return timer.id !== id; } );
+		},
+		
+		tick: function(ms) {
+			// advance time by ms, firing all due timers in order
+			var target = clock.time + ((ms || 0) / 1000);
+			
+			while (true) {
+				var due = null;
+				clock.timers.forEach( function(timer) {
+					if ((timer.next <= target) && (!due || (timer.next < due.next))) due = timer;
+				} );
+				if (!due) break;
+				
+				clock.time = due.next;
+				due.next += due.ms / 1000;
+				due.callback();
+			}
+			
+			clock.time = target;
+		}
+	};
+	return clock;
+};
+
+var harness = module.exports = {
+	
+	// default virtual terminal settings
+	defaults: {
+		columns: 80,
+		rows: 24,
+		isTTY: true,
+		rawMode: false,
+		color: 'always',
+		epoch: 1546300800,
+		answers: null,
+		args: null
+	},
+	
+	create: function(opts) {
+		// create virtual terminal with a cli instance wired up to it
+		opts = Tools.mergeHashes( this.defaults, opts || {} );
+		
+		var term = {
+			stdout: createOutput(opts),
+			stderr: createOutput(opts),
+			stdin: createInput(opts),
+			clock: createClock(opts.epoch),
+			answers: [],
+			exitCode: null
+		};
+		
+		term.cli = cli.create({
+			stdout: term.stdout,
+			stderr: term.stderr,
+			stdin: term.stdin,
+			args: opts.args || {},
+			isTTY: opts.isTTY,
+			columns: opts.columns,
+			color: opts.color,
+			clock: term.clock,
+			exit: function(code) {
+				// record exit code and abort whatever called us
+				term.exitCode = code;
+				var err = new Error("Exited with code " + code);
+				err.exitCode = code;
+				err.harnessExit = true;
+				throw err;
+			}
+		});
+		
+		term.answer = function() {
+			// queue scripted answers, fed to prompts in order
+			for (var idx = 0, len = arguments.length; idx < len; idx++) {
+				term.answers.push( '' + arguments[idx] );
+			}
+			term.feed();
+			return term;
+		};
+		
+		term.feed = function() {
+			// feed next answer if a line prompt, repl or raw key reader is waiting
+			if (term.feeding || !term.answers.length || !term.waiting()) return;
+			
+			term.feeding = true;
+			setImmediate( function() {
+				term.feeding = false;
+				if (!term.answers.length || !term.waiting()) return;
+				
+				// each answer is submitted with enter, unless it already ends with one
+				var answer = term.answers.shift();
+				if (!answer.match(/[\r\n]$/)) answer += term.stdin.isRaw ? "\r" : "\n";
+				term.stdin.push( answer );
+			} );
+		};
+		
+		term.waiting = function() {
+			// check if something is waiting for input
+			var repl = term.cli.activeRepl;
+			return !!(term.cli.currentPrompt || term.stdin.isRaw || (repl && repl.idle));
+		};
+		
+		// watch for prompts being displayed or raw mode being entered
+		term.stdout.onWrite = term.feed;
+		term.stdin.onRawMode = function(enabled) { if (enabled) term.feed(); };
+		
+		term.tick = function(ms) {
+			// advance fake clock, drawing progress frames along the way
+			term.clock.tick(ms);
+			return term;
+		};
+		
+		term.run = function(func) {
+			// run func with cli instance, resolve with exit code and captured output
+			// func may return a promise, and exit from die() is caught
+			var finish = function(err) {
+				if (err && !err.harnessExit) throw err;
+				return {
+					code: (term.exitCode === null) ? 0 : term.exitCode,
+					stdout: term.stdout.text,
+					stderr: term.stderr.text
+				};
+			};
+			
+			return new Promise( function(resolve) {
+				resolve( func(term.cli, term) );
+			} ).then( function() { return finish(); }, finish );
+		};
+		
+		if (opts.answers) term.answer.apply( term, opts.answers );
+		return term;
+	}
+	
+};
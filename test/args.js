@@ -0,0 +1,113 @@
+// Unit tests for the declarative argument schema
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var schema = {
+	port: { type: 'number', alias: 'p', default: 80 },
+	env: { choices: ['dev', 'prod'], required: true },
+	force: { type: 'boolean', alias: 'f' },
+	tags: { type: 'list' },
+	timeout: { type: 'duration' }
+};
+
+exports.tests = [
+	
+	function testDefineArgs(test) {
+		var term = harness.create({ color: 'never', args: ['-p', '8080', '--env', 'prod', '--tags', 'a,b', '--tags', 'c', '--timeout', '5 minutes'] });
+		return term.run( function(cli) {
+			var args = cli.defineArgs( schema );
+			test.ok( args.port === 8080, "Alias mapped and number coerced", args );
+			test.ok( !('p' in args), "Alias removed", args );
+			test.ok( args.tags.join(',') == 'a,b,c', "List from repeated and comma-separated values", args.tags );
+			test.ok( args.timeout === 300, "Duration converted to seconds", args.timeout );
+		} ).then( function(result) {
+			test.ok( result.code === 0, "No exit", result );
+		} );
+	},
+	
+	function testDefaults(test) {
+		var term = harness.create({ color: 'never', args: ['--env', 'dev'] });
+		return term.run( function(cli) {
+			var args = cli.defineArgs( schema );
+			test.ok( args.port === 80, "Default applied", args );
+			test.ok( !('force' in args), "No default for missing boolean", args );
+		} );
+	},
+	
+	function testAllProblemsReported(test) {
+		var term = harness.create({ color: 'never', args: ['--port', 'abc', '--env', 'x'] });
+		return term.run( function(cli) { cli.defineArgs( schema ); } ).then( function(result) {
+			test.ok( result.code == 1, "Exit code is 1", result );
+			test.ok( result.stderr.indexOf("Found 2 problems") > -1, "Problem count", result.stderr );
+			test.ok( result.stderr.indexOf("--port: Expected a number, got \"abc\".") > -1, "Bad number", result.stderr );
+			test.ok( result.stderr.indexOf("--env: Invalid value \"x\"") > -1, "Bad choice", result.stderr );
+		} );
+	},
+	
+	function testValidateArgs(test) {
+		var term = harness.create({ color: 'never', args: ['--a', '1', '--b', '2'] });
+		var errors = term.cli.validateArgs({
+			a: { exclusive: 'mode' },
+			b: { exclusive: 'mode' },
+			c: { required: true }
+		});
+		test.ok( errors.length == 2, "Errors returned instead of exiting", errors );
+		test.ok( errors[0] == "--c: Required argument is missing.", "Required arg", errors );
+		test.ok( errors[1] == "--a, --b: These arguments cannot be used together.", "Exclusive group", errors );
+		test.done();
+	},
+	
+	function testBooleanSwitchStandalone(test) {
+		// boolean switches must not swallow positional args, even without commands
+		var term = harness.create({ color: 'never', args: ['--force', 'file.txt', '--env', 'dev'] });
+		return term.run( function(cli) {
+			var args = cli.defineArgs( schema );
+			test.ok( args.force === true, "Switch is true", args );
+			test.ok( args.other.join(',') == 'file.txt', "Positional arg released", args.other );
+		} ).then( function(result) {
+			test.ok( result.code === 0, "No exit", result );
+			
+			var term2 = harness.create({ color: 'never', args: ['a.txt', '-f', 'b.txt', 'c.txt', '--env', 'dev'] });
+			var args = term2.cli.defineArgs( schema );
+			test.ok( args.other.join(',') == 'a.txt,b.txt,c.txt', "Released arg keeps its place", args.other );
+			
+			var term3 = harness.create({ color: 'never', args: ['--force', 'no', '--env', 'dev'] });
+			test.ok( term3.cli.defineArgs( schema ).force === false, "Boolean words are still taken as values" );
+		} );
+	},
+	
+	function testBooleanSwitchBeforeCommand(test) {
+		// boolean switches must not swallow the command name
+		var setup = function(cli) {
+			cli.command('deploy', {
+				args: { force: { type: 'boolean', alias: 'f' } },
+				handler: function(args) { cli.println( "deploy" + (args.force ? " forced" : "") + " " + args.other.join(' ') ); }
+			});
+			cli.dispatch();
+		};
+		var term = harness.create({ color: 'never', args: ['--force', 'deploy', 'now'] });
+		return term.run( setup ).then( function(result) {
+			test.ok( result.stdout == "deploy forced now\n", "Switch released the command name", result.stdout );
+			
+			var term2 = harness.create({ color: 'never', args: ['deploy', '-f', 'false', 'now'] });
+			return term2.run( setup );
+		} ).then( function(result) {
+			test.ok( result.stdout == "deploy now\n", "Boolean words are still taken as values", result.stdout );
+		} );
+	},
+	
+	function testArgsUsage(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.stripColor( cli.argsUsage({
+			port: { type: 'number', alias: 'p', default: 80, description: "Port to listen on." },
+			secret: { hidden: true }
+		}) );
+		test.ok( text.indexOf("--port") > -1, "Arg listed", text );
+		test.ok( text.indexOf("-p") > -1, "Alias listed", text );
+		test.ok( text.indexOf("Port to listen on.") > -1, "Description listed", text );
+		test.ok( text.indexOf("secret") == -1, "Hidden arg omitted", text );
+		test.done();
+	}
+	
+];
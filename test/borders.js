@@ -0,0 +1,50 @@
+// Unit tests for border themes
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var rows = [ ["A", "B"], ["1", "2"] ];
+
+exports.tests = [
+	
+	function testBuiltInThemes(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		test.ok( cli.table(rows, { border: 'double' }) == "╔═══╦═══╗\n║ A ║ B ║\n╠═══╬═══╣\n║ 1 ║ 2 ║\n╚═══╩═══╝", "Double table" );
+		test.ok( cli.table(rows, { border: 'ascii' }) == "+---+---+\n| A | B |\n+---+---+\n| 1 | 2 |\n+---+---+", "ASCII table" );
+		test.ok( cli.table(rows, { unicode: false }) == cli.table(rows, { border: 'ascii' }), "Unicode false means ascii" );
+		test.ok( cli.table(rows, { border: 'markdown' }) == "| A | B |\n|---|---|\n| 1 | 2 |", "Markdown table omits top and bottom" );
+		test.ok( cli.table(rows, { border: 'none' }) == " A  B \n 1  2 ", "No borders" );
+		test.ok( cli.box("Hi", { border: 'rounded' }) == "╭────╮\n│ Hi │\n╰────╯", "Rounded box" );
+		test.done();
+	},
+	
+	function testCustomTheme(test) {
+		// omitted characters come from the single theme
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.table( rows, { border: { topLeft: '*', bottomRight: '*' } } );
+		test.ok( text == "*───┬───┐\n│ A │ B │\n├───┼───┤\n│ 1 │ 2 │\n└───┴───*", "Custom characters merged", text );
+		
+		cli.borders.dots = { top: '.', bottom: '.', divider: '', topLeft: '.', topMid: '.', topRight: '.', bottomLeft: '.', bottomMid: '.', bottomRight: '.', left: ':', mid: ':', right: ':' };
+		text = cli.table( rows, { border: 'dots' } );
+		test.ok( text == ".........\n: A : B :\n: 1 : 2 :\n.........", "Named custom theme, empty divider omitted", text );
+		test.done();
+	},
+	
+	function testSetBorder(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		cli.setBorder( 'heavy' );
+		test.ok( cli.table(rows).indexOf("┏━━━┳━━━┓") == 0, "Default table theme changed" );
+		test.ok( cli.box("x") == "┏━━━┓\n┃ x ┃\n┗━━━┛", "Default box theme changed" );
+		test.ok( cli.table(rows, { border: 'single' }).indexOf("┌") == 0, "Per-call theme still wins" );
+		test.done();
+	},
+	
+	function testTreeBorder(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var data = { name: "root", children: [ { name: "a" }, { name: "b", children: [ { name: "c" } ] } ] };
+		var text = cli.treeData( data, { border: 'ascii' } );
+		test.ok( text == "root\n | a\n ` b\n    ` c", "ASCII tree lines", text );
+		test.done();
+	}
+	
+];
@@ -0,0 +1,87 @@
+// Unit tests for boxes and side-by-side columns
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testBox(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.box( "Hello there!" );
+		test.ok( text == "┌──────────────┐\n│ Hello there! │\n└──────────────┘", "Box sized to text", text );
+		
+		text = cli.box( "Hi", { hspace: 2, vspace: 1, indent: 2 } );
+		test.ok( text == "  ┌──────┐\n  │      │\n  │  Hi  │\n  │      │\n  └──────┘", "Spacing and indent", text );
+		test.done();
+	},
+	
+	function testBoxWidth(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.box( "The quick brown fox jumped over the lazy dog.", { width: 20 } );
+		test.ok( text.split("\n").every( function(line) { return line.length == 24; } ), "Fixed width", text );
+		test.ok( text.split("\n")[1] == "│ The quick brown fox  │", "Text wrapped", text );
+		
+		text = cli.box( "abcdefghijklmnopqrstuvwxyz", { width: 10 } );
+		test.ok( text.split("\n").length == 5, "Long words are cut", text );
+		test.done();
+	},
+	
+	function testBoxAutoFit(test) {
+		var cli = harness.create({ color: 'never', columns: 30 }).cli;
+		var text = cli.box( "The quick brown fox jumped over the lazy dog.", { autoFit: true } );
+		var widest = Math.max.apply( Math, text.split("\n").map( function(line) { return line.length; } ) );
+		test.ok( widest <= 30, "Box fits terminal", text );
+		test.ok( text.split("\n").length > 3, "Text wrapped to fit", text );
+		test.done();
+	},
+	
+	function testBoxTitles(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.box( "The quick brown fox jumped over the lazy dog.\nThe end.", {
+			title: "Status",
+			footer: "v1.0",
+			footerAlign: "right",
+			align: "center"
+		} );
+		test.ok( text == [
+			"┌─ Status ──────────────────────────────────────┐",
+			"│ The quick brown fox jumped over the lazy dog. │",
+			"│                   The end.                    │",
+			"└──────────────────────────────────────── v1.0 ─┘"
+		].join("\n"), "Title, footer and center alignment", text );
+		
+		text = cli.box( "Hi", { title: "A much longer title" } );
+		test.ok( text.split("\n")[0] == "┌─ A much longer title ─┐", "Box widened to fit title", text );
+		
+		text = cli.box( "Hi", { title: "Top", border: 'none' } );
+		test.ok( text.split("\n")[0].trim() == "Top", "Title on its own line without a top border", text );
+		test.done();
+	},
+	
+	function testColumns(test) {
+		var cli = harness.create({ color: 'always' }).cli;
+		var system = cli.box( "CPU: 45%\nMem: 3 GB", { title: "System" } );
+		var services = cli.table([ ["Service", "State"], ["web", "up"], ["db", "down"] ]);
+		var text = cli.stripColor( cli.columns([ system, services ], { gutter: 3 }) );
+		test.ok( text == [
+			"┌─ System ──┐   ┌─────────┬───────┐",
+			"│ CPU: 45%  │   │ Service │ State │",
+			"│ Mem: 3 GB │   ├─────────┼───────┤",
+			"└───────────┘   │ web     │ up    │",
+			"                │ db      │ down  │",
+			"                └─────────┴───────┘"
+		].join("\n"), "Blocks joined with colors handled", text );
+		test.done();
+	},
+	
+	function testColumnsVAlign(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.columns( [ "a\nb\nc", "x" ], { valign: 'bottom', gutter: '|', indent: 1 } );
+		test.ok( text == " a|\n b|\n c|x", "Bottom aligned with custom gutter and indent", JSON.stringify(text) );
+		
+		text = cli.columns( [ "a\nb\nc", "x" ], { valign: 'middle' } );
+		test.ok( text.split("\n")[1] == "b  x", "Middle aligned", JSON.stringify(text) );
+		test.done();
+	}
+	
+];
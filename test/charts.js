@@ -0,0 +1,74 @@
+// Unit tests for sparklines, bar charts and histograms
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testSparkline(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.sparkline( [1, 2, 3, 4, 5, 6, 7, 8], { color: false } );
+		test.ok( text == "⡀⡄⡆⡇⣇⣧⣷⣿", "Values scaled between min and max", text );
+		
+		text = cli.sparkline( [1, null, 8], { color: false, unicode: false } );
+		test.ok( text == ". #", "Gaps for missing values in ascii mode", text );
+		test.done();
+	},
+	
+	function testSparklineFitsWidth(test) {
+		// only the most recent values are shown when there are too many
+		var cli = harness.create({ color: 'never', columns: 20 }).cli;
+		var values = [];
+		for (var idx = 0; idx < 100; idx++) values.push( idx );
+		var text = cli.sparkline( values, { color: false } );
+		test.ok( text.length == 20, "Sparkline fits terminal width", text );
+		test.ok( text.charAt(19) == "⣿", "Most recent value is the highest", text );
+		test.done();
+	},
+	
+	function testBarChart(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.barChart( { a: 10, bb: 5 }, { color: false, width: 30 } );
+		var lines = text.split("\n");
+		test.ok( lines.length == 2, "One line per bar", lines );
+		test.ok( lines[0].match(/^a  │⣿+ 10$/), "Largest value fills the line", lines[0] );
+		test.ok( lines[1].match(/^bb │⣿{11} +5$/), "Half value fills half the bar", lines[1] );
+		test.ok( lines.every( function(line) { return line.length <= 30; } ), "Lines fit within the chart width", lines );
+		test.done();
+	},
+	
+	function testBarChartUnits(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.barChart( [ ["/", 21474836480], ["/home", 412316860416] ], { color: false, width: 40, units: 'bytes' } );
+		test.ok( text.match(/ 20 GB\n/), "Bytes formatted", text );
+		test.ok( text.match(/ 384 GB$/), "Bytes formatted", text );
+		test.done();
+	},
+	
+	function testHistogram(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.histogram( [1, 2, 2, 3, 9], { color: false, width: 40, buckets: 3 } );
+		var counts = text.split("\n").map( function(line) { return line.match(/(\d+)$/)[1]; } );
+		test.ok( counts.join(',') == "4,0,1", "Values sorted into buckets", text );
+		
+		text = cli.histogram( [5, 30, 60, 250], { color: false, width: 40, bucketSize: 50, min: 0, max: 100 } );
+		test.ok( text.indexOf("0 - 50") == 0, "Fixed bucket ranges", text );
+		test.ok( text.split("\n").length == 2, "Range limited by min and max", text );
+		test.done();
+	},
+	
+	function testHistogramLarge(test) {
+		// huge arrays must not overflow the stack when finding the range
+		var cli = harness.create({ color: 'never' }).cli;
+		var values = [];
+		for (var idx = 0; idx < 300000; idx++) values.push( idx % 1000 );
+		var text = cli.histogram( values, { color: false, width: 40, buckets: 2 } );
+		var counts = text.split("\n").map( function(line) { return line.match(/([\d,]+)$/)[1]; } );
+		test.ok( counts.join('|') == "150,000|150,000", "Large array bucketed", text );
+		
+		text = cli.sparkline( values, { color: false, width: 10 } );
+		test.ok( text.length == 10, "Large array sparkline", text );
+		test.done();
+	}
+	
+];
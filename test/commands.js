@@ -0,0 +1,95 @@
+// Unit tests for command dispatch and help text
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var setup = function(term) {
+	// register a small command tree on the virtual terminal's cli instance
+	var cli = term.cli;
+	cli.command('deploy', {
+		description: "Deploy the app.",
+		aliases: ['d'],
+		args: {
+			force: { type: 'boolean', alias: 'f', description: "Skip checks." },
+			env: { choices: ['dev', 'prod'], default: 'dev' }
+		},
+		handler: function(args) {
+			cli.println( "deploy " + args.env + (args.force ? " forced" : "") + (args.other.length ? (" " + args.other.join(' ')) : "") );
+		}
+	});
+	cli.command('db migrate', { description: "Run migrations.", handler: function() { cli.println("migrated"); } });
+	return cli;
+};
+
+exports.tests = [
+	
+	function testDispatch(test) {
+		var term = harness.create({ color: 'never', args: ['deploy', '--env', 'prod'] });
+		return term.run( function(cli) { setup(term).dispatch(); } ).then( function(result) {
+			test.ok( result.code === 0, "Exit code is 0", result );
+			test.ok( result.stdout == "deploy prod\n", "Handler was called with args", result.stdout );
+		} );
+	},
+	
+	function testAliasAndSubcommand(test) {
+		var term = harness.create({ color: 'never', args: ['d'] });
+		return term.run( function(cli) { setup(term).dispatch(); } ).then( function(result) {
+			test.ok( result.stdout == "deploy dev\n", "Alias dispatched with default arg", result.stdout );
+			
+			var term2 = harness.create({ color: 'never', args: ['db', 'migrate'] });
+			return term2.run( function(cli) { setup(term2).dispatch(); } );
+		} ).then( function(result) {
+			test.ok( result.stdout == "migrated\n", "Nested subcommand dispatched", result.stdout );
+		} );
+	},
+	
+	function testUnknownCommand(test) {
+		var term = harness.create({ color: 'never', args: ['deplyo'] });
+		return term.run( function(cli) { setup(term).dispatch(); } ).then( function(result) {
+			test.ok( result.code == 1, "Exit code is 1", result );
+			test.ok( result.stderr.indexOf("Unknown command: deplyo") > -1, "Unknown command reported", result.stderr );
+			test.ok( result.stderr.indexOf("Did you mean: deploy?") > -1, "Suggestion offered", result.stderr );
+		} );
+	},
+	
+	function testBadArgs(test) {
+		var term = harness.create({ color: 'never', args: ['deploy', '--env', 'staging'] });
+		return term.run( function(cli) { setup(term).dispatch(); } ).then( function(result) {
+			test.ok( result.code == 1, "Exit code is 1", result );
+			test.ok( result.stderr.indexOf("--env: Invalid value \"staging\"") > -1, "Invalid choice reported", result.stderr );
+		} );
+	},
+	
+	function testAsyncHandlerRejects(test) {
+		// rejected promises from handlers are passed to die()
+		var term = harness.create({ color: 'never', args: ['fail'] });
+		return term.run( function(cli) {
+			cli.command('fail', function() { return Promise.reject( new Error("Something broke") ); });
+			return cli.dispatch();
+		} ).then( function(result) {
+			test.ok( result.code == 1, "Exit code is 1", result );
+			test.ok( result.stderr.indexOf("Something broke") > -1, "Error message printed", result.stderr );
+		} );
+	},
+	
+	function testAppHelp(test) {
+		var term = harness.create({ color: 'never', args: ['--help'] });
+		return term.run( function(cli) { setup(term).dispatch({ name: 'mytool', version: '1.0.0' }); } ).then( function(result) {
+			var text = result.stdout;
+			test.ok( text.indexOf("mytool v1.0.0") > -1, "Help shows name and version", text );
+			test.ok( text.indexOf("Usage: mytool <command> [options]") > -1, "Help shows usage", text );
+			test.ok( text.match(/deploy\s+.\s+d\s+.\s+Deploy the app\./), "Help lists command with alias", text );
+		} );
+	},
+	
+	function testCommandHelp(test) {
+		var term = harness.create({ color: 'never', args: ['help', 'deploy'] });
+		return term.run( function(cli) { setup(term).dispatch({ name: 'mytool' }); } ).then( function(result) {
+			var text = result.stdout;
+			test.ok( text.indexOf("Usage: mytool deploy [options]") > -1, "Command usage shown", text );
+			test.ok( text.indexOf("Aliases: d") > -1, "Aliases shown", text );
+			test.ok( text.indexOf("--force") > -1, "Args listed", text );
+		} );
+	}
+	
+];
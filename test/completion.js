@@ -0,0 +1,129 @@
+// Unit tests for shell completion scripts and candidates
+// Run via: npm test
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-complete-' + process.pid );
+
+var setup = function(term) {
+	// register a small command tree on the virtual terminal's cli instance
+	var cli = term.cli;
+	cli.command('deploy', {
+		description: "Deploy the app.",
+		args: {
+			force: { type: 'boolean', alias: 'f', description: "Skip checks." },
+			env: { choices: ['dev', 'prod'], description: "Target environment." },
+			secret: { type: 'string', hidden: true }
+		},
+		complete: function(partial, ctx) { return ['web', 'worker']; },
+		handler: function() {}
+	});
+	cli.command('db migrate', { description: "Run migrations.", handler: function() {} });
+	cli.command('db seed', { description: "Load test data.", handler: function() {} });
+	cli.command('debug', { hidden: true, handler: function() {} });
+	return cli;
+};
+
+var complete = function(words) {
+	// run the hidden __complete command and resolve with its output lines
+	var term = harness.create({ color: 'never', args: ['__complete'].concat(words) });
+	return term.run( function(cli) { return setup(term).dispatch(); } ).then( function(result) {
+		return result.stdout.split("\n").filter( function(line) { return line.length; } );
+	} );
+};
+
+exports.setUp = function(callback) {
+	fs.mkdirSync( path.join(dir, 'src'), { recursive: true } );
+	fs.writeFileSync( path.join(dir, 'app.js'), '' );
+	fs.writeFileSync( path.join(dir, 'app.json'), '' );
+	fs.writeFileSync( path.join(dir, '.hidden'), '' );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	fs.rmSync( dir, { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testScripts(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		
+		var bash = cli.completionScript( 'bash', { name: 'my-app' } );
+		test.ok( bash.indexOf("_my_app_complete() {") > -1, "Bash function named after app", bash );
+		test.ok( bash.indexOf("my-app __complete") > -1, "Bash calls back into app", bash );
+		test.ok( bash.indexOf("complete -o default -F _my_app_complete my-app") > -1, "Bash completion registered", bash );
+		
+		var zsh = cli.completionScript( 'zsh', { name: 'my-app' } );
+		test.ok( zsh.indexOf("#compdef my-app") === 0, "Zsh compdef header", zsh );
+		test.ok( zsh.indexOf("compdef _my_app_complete my-app") > -1, "Zsh completion registered", zsh );
+		
+		var fish = cli.completionScript( 'fish', { name: 'my-app' } );
+		test.ok( fish.indexOf("function _my_app_complete") > -1, "Fish function defined", fish );
+		test.ok( fish.indexOf("complete -c my-app -f -a '(_my_app_complete)'") > -1, "Fish completion registered", fish );
+		
+		var err = null;
+		try { cli.completionScript( 'tcsh' ); } catch (e) { err = e; }
+		test.ok( err && err.message.match(/Unknown shell/), "Unknown shell throws", err );
+		test.done();
+	},
+	
+	function testCommands(test) {
+		return complete( [''] ).then( function(lines) {
+			test.ok( lines.indexOf("deploy\tDeploy the app.") > -1, "Command with description", lines );
+			test.ok( lines.indexOf("db") > -1, "Parent command listed", lines );
+			test.ok( lines.indexOf("help\tShow help for a command.") > -1, "Built-in help listed", lines );
+			test.ok( lines.indexOf("debug") == -1, "Hidden command omitted", lines );
+			return complete( ['de'] );
+		} ).then( function(lines) {
+			test.ok( lines.length == 1 && lines[0].indexOf("deploy") === 0, "Filtered by prefix", lines );
+			return complete( ['db', ''] );
+		} ).then( function(lines) {
+			test.ok( lines.join(',') == "migrate\tRun migrations.,seed\tLoad test data.", "Subcommands listed", lines );
+		} );
+	},
+	
+	function testOptions(test) {
+		return complete( ['deploy', '--'] ).then( function(lines) {
+			test.ok( lines.indexOf("--force\tSkip checks.") > -1, "Option with description", lines );
+			test.ok( lines.indexOf("--env\tTarget environment.") > -1, "Second option listed", lines );
+			test.ok( lines.indexOf("--help\tShow this help text.") > -1, "Help option listed", lines );
+			test.ok( !lines.some( function(line) { return line.match(/secret/); } ), "Hidden option omitted", lines );
+			return complete( ['deploy', '-'] );
+		} ).then( function(lines) {
+			test.ok( lines.indexOf("-f\tSkip checks.") > -1, "Short alias listed", lines );
+		} );
+	},
+	
+	function testValues(test) {
+		return complete( ['deploy', '--env', ''] ).then( function(lines) {
+			test.ok( lines.join(',') == "dev,prod", "Choices offered for option value", lines );
+			return complete( ['deploy', '--force', 'w'] );
+		} ).then( function(lines) {
+			test.ok( lines.join(',') == "web,worker", "Boolean option takes no value, so positional callback used", lines );
+		} );
+	},
+	
+	function testCompleteFiles(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = dir + '/';
+		
+		var items = cli.completeFiles( base );
+		test.ok( items.join(',') == [base + 'app.js', base + 'app.json', base + 'src/'].join(','), "Files and dirs listed, dotfiles skipped", items );
+		
+		items = cli.completeFiles( base + '.' );
+		test.ok( items.join(',') == base + '.hidden', "Dotfiles listed when asked for", items );
+		
+		items = cli.completeFiles( base + 'app', { filter: /\.json$/ } );
+		test.ok( items.join(',') == base + 'app.json', "Filter applied", items );
+		
+		items = cli.completeFiles( base, { dirsOnly: true } );
+		test.ok( items.join(',') == base + 'src/', "Directories only", items );
+		test.done();
+	}
+	
+];
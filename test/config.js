@@ -0,0 +1,127 @@
+// Unit tests for config layering, sources and the config table
+// Run via: npm test
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-config-' + process.pid );
+
+var clearEnv = function() {
+	// remove any env vars set by a previous test
+	for (var key in process.env) {
+		if (key.indexOf('PXTEST_') === 0) delete process.env[key];
+	}
+};
+
+exports.setUp = function(callback) {
+	fs.mkdirSync( path.join(dir, 'sub'), { recursive: true } );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	clearEnv();
+	fs.rmSync( dir, { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testLayers(test) {
+		clearEnv();
+		fs.writeFileSync( path.join(dir, '.pxtestrc'), '{\n\t// project settings\n\t"debug": true,\n\t"db": { "host": "file.local" }\n}\n' );
+		process.env.PXTEST_DB__POOL = '4';
+		process.env.PXTEST_MAX_SIZE = '100';
+		
+		var cli = harness.create({ color: 'never', args: ['--port', '8080', '--verbose'] }).cli;
+		var config = cli.loadConfig({
+			name: 'pxtest',
+			xdg: false,
+			cwd: path.join(dir, 'sub'),
+			defaults: { port: 80, debug: false, maxSize: 0, db: { host: "localhost", pool: 1 } }
+		});
+		
+		test.ok( config.port === 8080, "Arg overrides default and is converted to a number", config );
+		test.ok( config.debug === true, "Project file found by searching upward", config );
+		test.ok( config.db.host == 'file.local', "Nested key from file", config );
+		test.ok( config.db.pool === 4, "Nested key from env", config );
+		test.ok( config.maxSize === 100, "Env name matched ignoring case and underscores", config );
+		test.ok( !('verbose' in config), "Unknown args kept out of config", config );
+		test.ok( cli.config === config, "Config saved on instance" );
+		
+		var sources = cli.configSources;
+		test.ok( sources.port == 'arg:--port', "Arg source", sources );
+		test.ok( sources.debug == path.join(dir, '.pxtestrc'), "File source", sources );
+		test.ok( sources['db.pool'] == 'env:PXTEST_DB__POOL', "Env source", sources );
+		test.ok( sources['db.host'] == path.join(dir, '.pxtestrc'), "Nested file source", sources );
+		test.done();
+	},
+	
+	function testCoerceError(test) {
+		clearEnv();
+		process.env.PXTEST_PORT = 'abc';
+		var term = harness.create({ color: 'never', args: [] });
+		
+		return term.run( function(cli) {
+			cli.loadConfig({ name: 'pxtest', xdg: false, search: false, defaults: { port: 80 } });
+		} ).then( function(result) {
+			test.ok( result.code == 1, "Died on bad value", result );
+			test.ok( result.stderr.indexOf('"port" (from env:PXTEST_PORT): Expected a number, got "abc".') > -1, "Error names key and source", result.stderr );
+		} );
+	},
+	
+	function testBadFile(test) {
+		var file = path.join( dir, 'bad.json' );
+		fs.writeFileSync( file, '{\n\t"port": 80,\n}\n' );
+		var term = harness.create({ color: 'never', args: [] });
+		
+		return term.run( function(cli) {
+			cli.loadConfig({ name: 'pxtest', xdg: false, file: file, env: false });
+		} ).then( function(result) {
+			test.ok( result.code == 1, "Died on bad file", result );
+			test.ok( result.stderr.indexOf('Failed to load config file') > -1, "Error printed", result.stderr );
+			test.ok( result.stderr.indexOf(file) > -1, "Error names file", result.stderr );
+		} );
+	},
+	
+	function testStaleSources(test) {
+		// replacing an object with a scalar drops the sources of keys beneath it, and vice versa
+		var file = path.join( dir, 'stale.json' );
+		fs.writeFileSync( file, '{ "db": "sqlite", "cache": { "ttl": 60 } }' );
+		var cli = harness.create({ color: 'never', args: [] }).cli;
+		cli.loadConfig({ name: 'pxtest', xdg: false, file: file, env: false, defaults: { db: { host: "localhost" }, cache: 1 } });
+		
+		var sources = cli.configSources;
+		test.ok( !('db.host' in sources), "Nested source dropped", sources );
+		test.ok( sources.db == file, "Scalar source recorded", sources );
+		test.ok( !('cache' in sources), "Scalar source dropped", sources );
+		test.ok( sources['cache.ttl'] == file, "Nested source recorded", sources );
+		test.done();
+	},
+	
+	function testConfigTable(test) {
+		clearEnv();
+		process.env.PXTEST_DB__HOST = 'db.local';
+		var cli = harness.create({ color: 'never', args: [] }).cli;
+		cli.loadConfig({ name: 'pxtest', xdg: false, search: false, defaults: { port: 80, db: { host: "localhost", pool: 1 } } });
+		
+		var text = cli.configTable({ format: 'csv' });
+		test.ok( text == "Key,Value,Source\ndb.host,db.local,env:PXTEST_DB__HOST\ndb.pool,1,default\nport,80,default", "Sorted rows with sources", text );
+		test.done();
+	},
+	
+	function testConfigTableDottedKey(test) {
+		// key names containing dots are not confused with nested paths
+		var file = path.join( dir, 'dotted.json' );
+		fs.writeFileSync( file, '{ "log.level": "x", "log": { "file": "app.log" } }' );
+		var cli = harness.create({ color: 'never', args: [] }).cli;
+		cli.loadConfig({ name: 'pxtest', xdg: false, file: file, env: false });
+		
+		var text = cli.configTable({ format: 'csv' });
+		test.ok( text.indexOf("log.level,x," + file) > -1, "Dotted key shown", text );
+		test.ok( text.indexOf("log.file,app.log," + file) > -1, "Nested key shown", text );
+		test.done();
+	}
+	
+];
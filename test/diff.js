@@ -0,0 +1,75 @@
+// Unit tests for the JSON inspector, and line, text and object diffs
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testInspect(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var obj = { name: "web", ports: [80, 443], opts: {}, skip: undefined };
+		obj.self = obj;
+		
+		var text = cli.inspect( obj, { color: false } );
+		test.ok( text == '{\n  "name": "web",\n  "ports": [\n    80,\n    443\n  ],\n  "opts": {},\n  "self": [Circular]\n}', "Pretty printed with circular marker", text );
+		
+		text = cli.inspect( { b: [1, 2, 3], a: "abcdef" }, { color: false, compact: true, sortKeys: true, maxItems: 2, maxString: 3 } );
+		test.ok( text == '{"a": "abc…", "b": [1, 2, ... 1 more item]}', "Compact, sorted and truncated", text );
+		
+		text = cli.inspect( { db: { host: "x", port: 1 } }, { color: false, compact: true, maxDepth: 1 } );
+		test.ok( text == '{"db": { 2 keys }}', "Depth limited", text );
+		test.done();
+	},
+	
+	function testDiffLines(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var edits = cli.diffLines( ['a', 'b', 'c'], ['a', 'x', 'y', 'c'] );
+		var flat = edits.map( function(edit) { return edit.type + edit.text; } ).join(',');
+		test.ok( flat == " a,-b,+x,+y, c", "Minimal edit script with removals first", flat );
+		
+		test.ok( cli.diffLines( ['a'], ['a'] ).every( function(edit) { return edit.type == ' '; } ), "Identical input has no changes" );
+		test.done();
+	},
+	
+	function testDiffLinesLarge(test) {
+		// large inputs with many changes must not blow up memory or time
+		var cli = harness.create({ color: 'never' }).cli;
+		var a = [], b = [];
+		for (var idx = 0; idx < 20000; idx++) {
+			a.push( "line " + idx );
+			b.push( (idx % 7 == 0) ? ("changed " + idx) : ("line " + idx) );
+		}
+		var edits = cli.diffLines( a, b );
+		var removed = edits.filter( function(edit) { return edit.type == '-'; } ).length;
+		var added = edits.filter( function(edit) { return edit.type == '+'; } ).length;
+		test.ok( removed == 2858, "Removed count", removed );
+		test.ok( added == 2858, "Added count", added );
+		test.done();
+	},
+	
+	function testDiffText(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.diffText( "a\nb\nc\n", "a\nB\nc\n", { color: false } );
+		test.ok( text == "--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c", "Unified diff", text );
+		test.ok( cli.diffText( "same\n", "same\n" ) === "", "No diff for identical text" );
+		test.done();
+	},
+	
+	function testDiffObjects(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.diffObjects(
+			{ port: 80, debug: true, db: { host: "x" }, servers: [1, 2, 3] },
+			{ port: 8080, db: { host: "y", ssl: true }, servers: [1, 2] },
+			{ color: false }
+		);
+		var lines = text.split("\n");
+		test.ok( lines.indexOf("~ port: 80 → 8080") > -1, "Changed key", text );
+		test.ok( lines.indexOf("- debug: true") > -1, "Removed key", text );
+		test.ok( lines.indexOf("~ db.host: \"x\" → \"y\"") > -1, "Nested change", text );
+		test.ok( lines.indexOf("+ db.ssl: true") > -1, "Nested addition", text );
+		test.ok( lines.indexOf("- servers[2]: 3") > -1, "Array element removed", text );
+		test.ok( cli.diffObjects( { a: 1 }, { a: 1 } ) === "", "No diff for equal objects" );
+		test.done();
+	}
+	
+];
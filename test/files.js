@@ -0,0 +1,185 @@
+// Unit tests for atomic saves, JSON files and compression
+// Run via: npm test
+
+var fs = require('fs');
+var child_process = require('child_process');
+var os = require('os');
+var path = require('path');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-files-' + process.pid );
+
+var testDir = function(name) {
+	// create a fresh subdirectory for one test, as setUp only runs once per suite
+	var sub = path.join( dir, name );
+	fs.mkdirSync( sub, { recursive: true } );
+	return sub;
+};
+
+var listDir = function(sub) {
+	// get sorted list of filenames in test subdirectory
+	return fs.readdirSync( sub ).sort();
+};
+
+var readFifo = function(fifo) {
+	// start a separate process reading from fifo, resolves with what it read
+	var child = child_process.spawn( 'cat', [fifo] );
+	var output = '';
+	child.stdout.on('data', function(chunk) { output += chunk; });
+	return new Promise( function(resolve) {
+		child.on('close', function() { resolve(output); });
+	} );
+};
+
+exports.setUp = function(callback) {
+	fs.mkdirSync( dir, { recursive: true } );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	fs.rmSync( dir, { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testSaveAtomic(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'saveAtomic' );
+		var file = path.join( base, 'state.txt' );
+		
+		cli.saveFile( file, "one" );
+		fs.chmodSync( file, 384 ); // 0600
+		cli.saveFile( file, "two", { backup: true } );
+		
+		test.ok( fs.readFileSync(file, 'utf8') == "two", "File replaced" );
+		test.ok( fs.readFileSync(file + '.bak', 'utf8') == "one", "Previous version backed up" );
+		test.ok( (fs.statSync(file).mode & 511) == 384, "Mode preserved", fs.statSync(file).mode );
+		test.ok( listDir(base).join(',') == 'state.txt,state.txt.bak', "No temp files left behind", listDir(base) );
+		
+		cli.saveFile( file, "three", { mode: 420 } ); // 0644
+		test.ok( (fs.statSync(file).mode & 511) == 420, "Mode set from opts", fs.statSync(file).mode );
+		test.done();
+	},
+	
+	function testSaveSymlink(test) {
+		// the file a symlink points to is replaced, not the symlink itself
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'saveSymlink' );
+		var file = path.join( base, 'real.txt' );
+		var link = path.join( base, 'link.txt' );
+		fs.writeFileSync( file, "old" );
+		fs.symlinkSync( file, link );
+		
+		cli.saveFile( link, "new" );
+		test.ok( fs.lstatSync(link).isSymbolicLink(), "Symlink kept" );
+		test.ok( fs.readFileSync(file, 'utf8') == "new", "Target file updated" );
+		test.done();
+	},
+	
+	function testSaveFailure(test) {
+		// a failed save throws and cleans up its temp file
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'saveFailure' );
+		fs.mkdirSync( path.join(base, 'sub') );
+		
+		var err = null;
+		try { cli.saveFile( path.join(base, 'sub'), "data" ); } catch (e) { err = e; }
+		test.ok( !!err, "Error thrown" );
+		test.ok( listDir(base).join(',') == 'sub', "No temp files left behind", listDir(base) );
+		test.done();
+	},
+	
+	function testSaveFifo(test) {
+		// special files are written to directly, rather than replaced
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'saveFifo' );
+		var fifo = path.join( base, 'fifo' );
+		try { child_process.execFileSync( 'mkfifo', [fifo] ); }
+		catch (err) {
+			test.ok( true, "Skipped, mkfifo not available" );
+			return test.done();
+		}
+		
+		var reader = readFifo( fifo );
+		cli.saveFile( fifo, "sync data\n" );
+		
+		return reader.then( function(output) {
+			test.ok( output == "sync data\n", "Sync data written to fifo", output );
+			test.ok( fs.statSync(fifo).isFIFO(), "Still a fifo after sync save" );
+			
+			reader = readFifo( fifo );
+			return cli.saveFileAsync( fifo, "async data\n" );
+		} ).then( function() {
+			return reader;
+		} ).then( function(output) {
+			test.ok( output == "async data\n", "Async data written to fifo", output );
+			test.ok( fs.statSync(fifo).isFIFO(), "Still a fifo after async save" );
+			test.ok( listDir(base).join(',') == 'fifo', "No temp files left behind", listDir(base) );
+		} );
+	},
+	
+	function testJSONErrors(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'json' );
+		var file = path.join( base, 'bad.json' );
+		fs.writeFileSync( file, '{\n\t"name": "x",\n\t"port": 80\n\t"debug": true\n}\n' );
+		
+		var err = null;
+		try { cli.loadJSON( file ); } catch (e) { err = e; }
+		test.ok( err instanceof SyntaxError, "SyntaxError thrown", err );
+		test.ok( err.file == file && err.line == 4 && err.column == 2, "Position recorded", err );
+		test.ok( err.message.indexOf(file + ":4:2: ") === 0, "Message starts with position", err.message );
+		test.ok( err.frame.indexOf('> 4 |     "debug": true') > -1, "Frame points at line", err.frame );
+		
+		fs.writeFileSync( file, '{\n\t// comment\n\t"port": 80 /* inline */\n}\n' );
+		test.ok( cli.loadJSON( file, { comments: true } ).port === 80, "Comments allowed" );
+		
+		err = null;
+		try { cli.parseJSON( '{"a": }' ); } catch (e) { err = e; }
+		test.ok( err && err.message.indexOf("1:7: ") === 0, "Parse error without a file", err && err.message );
+		test.done();
+	},
+	
+	function testGzip(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'gzip' );
+		var file = path.join( base, 'data.json.gz' );
+		
+		cli.saveJSON( file, { records: [1, 2, 3] } );
+		var raw = fs.readFileSync( file );
+		test.ok( (raw[0] == 0x1f) && (raw[1] == 0x8b), "File is compressed" );
+		test.ok( cli.loadJSON( file ).records.length == 3, "Decompressed on load" );
+		
+		var log = path.join( base, 'events.log.gz' );
+		cli.appendFile( log, "one\n" );
+		cli.appendFile( log, "two\n" );
+		test.ok( cli.loadFile( log ) == "one\ntwo\n", "Appended members decompress as one stream" );
+		
+		test.ok( cli.loadFile( file, { gzip: false } ).length == raw.length, "Detection overridden" );
+		test.done();
+	},
+	
+	function testAsync(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var base = testDir( 'async' );
+		var file = path.join( base, 'async.json' );
+		
+		return cli.saveJSONAsync( file, { runs: 1 } ).then( function() {
+			return cli.loadJSONAsync( file );
+		} ).then( function(state) {
+			state.runs++;
+			return cli.saveJSONAsync( file, state, { backup: true } );
+		} ).then( function() {
+			test.ok( cli.loadJSON( file ).runs === 2, "Saved and loaded" );
+			test.ok( cli.loadJSON( file + '.bak' ).runs === 1, "Backup saved" );
+			test.ok( listDir(base).join(',') == 'async.json,async.json.bak', "No temp files left behind", listDir(base) );
+			
+			return cli.loadJSONAsync( path.join(base, 'missing.json') ).then(
+				function() { test.ok( false, "Should have rejected" ); },
+				function(err) { test.ok( err.code == 'ENOENT', "Missing file rejects", err ); }
+			);
+		} );
+	}
+	
+];
@@ -0,0 +1,87 @@
+// Unit tests for machine-readable output formats
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var rows = [
+	[ "Name", "Notes" ],
+	[ "a,b", "say \"hi\"" ],
+	[ "c|d", "x\ny" ]
+];
+
+exports.tests = [
+	
+	function testJSON(test) {
+		var cli = harness.create({ color: 'always' }).cli;
+		var data = JSON.parse( cli.formatRows( [ ["Name", "Size"], [ cli.green("a"), 5 ] ], { format: 'json' } ) );
+		test.ok( data.length == 1, "One object per row", data );
+		test.ok( data[0].Name === "a", "Keyed by header, color stripped", data );
+		test.ok( data[0].Size === 5, "Numbers preserved", data );
+		
+		var lines = cli.formatRows( rows, { format: 'ndjson' } ).split("\n");
+		test.ok( lines.length == 2, "One line per row", lines );
+		test.ok( JSON.parse(lines[1]).Notes == "x\ny", "Values escaped", lines );
+		
+		data = JSON.parse( cli.formatRows( [ [1, 2], [3, 4] ], { format: 'json', header: false } ) );
+		test.ok( JSON.stringify(data) == "[[1,2],[3,4]]", "Arrays without header", data );
+		test.done();
+	},
+	
+	function testCSVAndTSV(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.formatRows( rows, { format: 'csv' } );
+		test.ok( text == "Name,Notes\n\"a,b\",\"say \"\"hi\"\"\"\nc|d,\"x\ny\"", "CSV quoting", text );
+		
+		text = cli.formatRows( rows, { format: 'tsv' } );
+		test.ok( text == "Name\tNotes\na,b\tsay \"hi\"\nc|d\tx\\ny", "TSV escaping", text );
+		test.done();
+	},
+	
+	function testMarkdown(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.formatRows( rows, { format: 'markdown' } );
+		test.ok( text == [
+			"| Name | Notes    |",
+			"|------|----------|",
+			"| a,b  | say \"hi\" |",
+			"| c\\|d | x<br>y   |"
+		].join("\n"), "Markdown table with escapes", text );
+		
+		text = cli.formatRows( [ [1, 2] ], { format: 'markdown', header: false } );
+		test.ok( text == "|   |   |\n|---|---|\n| 1 | 2 |", "Blank header added", text );
+		test.done();
+	},
+	
+	function testEmptyRows(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		['json', 'ndjson', 'csv', 'tsv', 'markdown'].forEach( function(format) {
+			[true, false].forEach( function(header) {
+				var text = cli.formatRows( [], { format: format, header: header } );
+				test.ok( text === ((format == 'json') ? "[]" : ""), "Empty output for " + format, text );
+			} );
+		} );
+		test.done();
+	},
+	
+	function testFormatArg(test) {
+		// format comes from --format, and unknown formats exit with an error
+		var term = harness.create({ color: 'never', args: ['--format', 'csv'] });
+		test.ok( term.cli.formatRows(rows).indexOf("Name,Notes") == 0, "Format from args" );
+		
+		var term2 = harness.create({ color: 'never', args: ['--format', 'xml'] });
+		return term2.run( function(cli) { cli.formatRows(rows); } ).then( function(result) {
+			test.ok( result.code == 1, "Exit code is 1", result );
+			test.ok( result.stderr.indexOf("Unknown output format: xml") > -1, "Error message", result.stderr );
+		} );
+	},
+	
+	function testCustomFormat(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		cli.formats.pipe = function(rows) {
+			return this.plainRows(rows).map( function(cols) { return cols.join('|'); } ).join("\n");
+		};
+		test.ok( cli.formatRows( [ ["a", "b"] ], { format: 'pipe' } ) == "a|b", "Custom format called" );
+		test.done();
+	}
+	
+];
@@ -0,0 +1,75 @@
+// Unit tests for the virtual terminal harness
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testCapture(test) {
+		var term = harness.create({ color: 'always' });
+		return term.run( function(cli) {
+			cli.print( cli.green("Hello") + "\n" );
+			cli.warn( "Careful\n" );
+		} ).then( function(result) {
+			test.ok( result.code === 0, "No exit", result );
+			test.ok( result.stdout.indexOf("\u001b[") > -1, "Colors captured", result.stdout );
+			test.ok( term.stdout.plain() == "Hello\n", "Plain text stripped of colors", term.stdout.plain() );
+			test.ok( result.stderr == "Careful\n", "Stderr captured", result.stderr );
+			
+			term.stdout.clear();
+			test.ok( term.stdout.text === "", "Output cleared" );
+		} );
+	},
+	
+	function testDie(test) {
+		var after = false;
+		var term = harness.create({ color: 'never' });
+		return term.run( function(cli) {
+			cli.die( "Fatal\n" );
+			after = true;
+		} ).then( function(result) {
+			test.ok( result.code === 1, "Exit code captured", result );
+			test.ok( !after, "Code after die() did not run" );
+			test.ok( result.stderr.indexOf("Fatal") > -1, "Error printed", result.stderr );
+			test.ok( term.exitCode === 1, "Exit code on terminal", term.exitCode );
+		} );
+	},
+	
+	function testArgsAndWidth(test) {
+		var term = harness.create({ columns: 33, args: ['file.txt', '--name', 'Joe'] });
+		test.ok( term.cli.width() == 33, "Width from columns", term.cli.width() );
+		test.ok( term.cli.args.name == 'Joe', "Args parsed", term.cli.args );
+		test.ok( term.cli.args.other[0] == 'file.txt', "Other args parsed", term.cli.args );
+		test.done();
+	},
+	
+	function testAnswers(test) {
+		var term = harness.create({ color: 'never', answers: ['Joe'] });
+		term.answer( 'y' );
+		return term.run( function(cli) {
+			return cli.ask( "Name?" ).then( function(name) {
+				test.ok( name == "Joe", "First answer fed", name );
+				return cli.confirm( "Sure?" );
+			} ).then( function(yes) {
+				test.ok( yes === true, "Second answer fed", yes );
+			} );
+		} );
+	},
+	
+	function testFakeClock(test) {
+		// progress bars run on the fake clock, so output is deterministic
+		var term = harness.create({ color: 'never' });
+		term.cli.progress.start({ width: 20 });
+		term.tick( 5000 );
+		term.cli.progress.update( 0.5 );
+		term.tick( 1000 );
+		term.cli.progress.end();
+		
+		var text = term.stdout.plain();
+		test.ok( text.indexOf("50%") > -1, "Progress drawn", text );
+		test.ok( text.indexOf("5 sec remain") > -1, "Remaining time from fake clock", text );
+		test.ok( term.clock.now() == 1546300806, "Clock advanced", term.clock.now() );
+		test.done();
+	}
+	
+];
@@ -0,0 +1,94 @@
+// Unit tests for independent cli instances and process hooks
+// Run via: npm test
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var cli = require('../cli.js');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-inst-' + process.pid );
+
+exports.setUp = function(callback) {
+	fs.mkdirSync( dir, { recursive: true } );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	fs.rmSync( dir, { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testStreamsAndArgs(test) {
+		var one = harness.create({ color: 'never', args: ['--name', 'Joe'] });
+		var two = harness.create({ color: 'never', args: ['--name', 'Sue'] });
+		
+		one.cli.println( "from one" );
+		two.cli.println( "from two" );
+		
+		test.ok( one.stdout.plain() == "from one\n", "First instance output captured", one.stdout.plain() );
+		test.ok( two.stdout.plain() == "from two\n", "Second instance output captured", two.stdout.plain() );
+		test.ok( one.cli.args.name == 'Joe' && two.cli.args.name == 'Sue', "Args are per instance" );
+		test.ok( cli.args.name === undefined, "Default export args untouched" );
+		test.done();
+	},
+	
+	function testSettingsIsolated(test) {
+		var one = harness.create({ color: 'never' }).cli;
+		var two = harness.create({ color: 'never' }).cli;
+		
+		one.command( "deploy", function() {} );
+		one.progress.defaults.width = 10;
+		one.selectDefaults.pointer = '>';
+		one.borders.single.top = '=';
+		one.formats.custom = function() { return ''; };
+		one.logDefaults.level = 'error';
+		
+		test.ok( !two.commands.deploy && !cli.commands.deploy, "Commands not shared" );
+		test.ok( two.progress.defaults.width == 30 && cli.progress.defaults.width == 30, "Progress defaults not shared" );
+		test.ok( two.selectDefaults.pointer != '>', "Select defaults not shared" );
+		test.ok( two.borders.single.top == '─' && cli.borders.single.top == '─', "Borders not shared" );
+		test.ok( !two.formats.custom && !cli.formats.custom, "Formats not shared" );
+		test.ok( two.logDefaults.level == 'debug' && cli.logDefaults.level == 'debug', "Log defaults not shared" );
+		test.done();
+	},
+	
+	function testLogExitHook(test) {
+		// the exit hook for a log file is removed when logging is switched off
+		var exits = process.listenerCount('exit');
+		var term = harness.create({ color: 'never' });
+		term.cli.setLogFile( path.join(dir, 'one.log') );
+		test.ok( process.listenerCount('exit') == exits + 1, "Exit hook installed" );
+		
+		// switching files replaces the hook rather than adding another
+		term.cli.setLogFile( path.join(dir, 'two.log') );
+		test.ok( process.listenerCount('exit') == exits + 1, "Exit hook replaced" );
+		
+		term.cli.setLogFile( null );
+		test.ok( process.listenerCount('exit') == exits, "Exit hook removed" );
+		test.ok( term.cli.processHooks.length == 0, "Instance has no hooks left", term.cli.processHooks );
+		test.done();
+	},
+	
+	function testManyInstances(test) {
+		// creating and discarding instances leaves no listeners behind
+		var exits = process.listenerCount('exit');
+		
+		for (var idx = 0; idx < 20; idx++) {
+			var term = harness.create({ color: 'never' });
+			term.cli.setLogFile( path.join(dir, 'many.log') );
+			term.cli.print( "line " + idx + "\n" );
+			term.cli.progress.start({ max: 10 });
+			term.cli.progress.update( 5 );
+			term.cli.progress.end();
+			term.cli.setLogFile( null );
+		}
+		
+		test.ok( process.listenerCount('exit') == exits, "No exit listeners left behind" );
+		test.ok( fs.readFileSync( path.join(dir, 'many.log'), 'utf8' ).split("\n").length == 21, "Every instance logged" );
+		test.done();
+	}
+	
+];
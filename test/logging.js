@@ -0,0 +1,177 @@
+// Unit tests for log files, buffering and rotation
+// Run via: npm test
+
+var fs = require('fs');
+var child_process = require('child_process');
+var os = require('os');
+var path = require('path');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-test-' + process.pid );
+
+var readLines = function(file) {
+	// read log file into array of lines
+	return fs.readFileSync( file, 'utf8' ).split("\n").filter( function(line) { return line.length; } );
+};
+
+exports.setUp = function(callback) {
+	fs.mkdirSync( dir, { recursive: true } );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	fs.rmSync( dir, { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testLogText(test) {
+		var cli = harness.create({ color: 'always' }).cli;
+		var file = path.join( dir, 'text.log' );
+		cli.setLogFile( file );
+		cli.print( cli.red("Hello there!") + "\n" );
+		cli.log( "Just logged" );
+		cli.log( "Too chatty", "debug" );
+		
+		var lines = readLines( file );
+		test.ok( lines.length == 3, "All lines written immediately", lines );
+		test.ok( lines[0].match(/^\[\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}\] Hello there!$/), "Color stripped and date prefixed", lines[0] );
+		test.ok( lines[1].match(/\] Just logged$/), "Direct log call", lines[1] );
+		test.done();
+	},
+	
+	function testLogLevelAndJSON(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var file = path.join( dir, 'json.log' );
+		cli.setLogFile( file, { level: 'info', format: 'json', fields: { app: 'test' } } );
+		cli.log( "Skipped", "debug" );
+		cli.log( "Upload complete", "info", { bytes: 100 } );
+		
+		var lines = readLines( file );
+		test.ok( lines.length == 1, "Debug lines filtered out", lines );
+		var record = JSON.parse( lines[0] );
+		test.ok( record.level == 'info', "Level recorded", record );
+		test.ok( record.msg == 'Upload complete', "Message recorded", record );
+		test.ok( record.app == 'test', "Global fields merged", record );
+		test.ok( record.bytes === 100, "Per-call fields merged", record );
+		test.done();
+	},
+	
+	function testBufferedFlush(test) {
+		// flushing while an async write is in flight must not lose or duplicate lines
+		var cli = harness.create({ color: 'never' }).cli;
+		var file = path.join( dir, 'buffer.log' );
+		cli.setLogFile( file, { buffer: true } );
+		for (var idx = 0; idx < 2000; idx++) cli.log( "Line " + idx );
+		test.ok( !fs.existsSync(file), "Nothing written yet" );
+		
+		cli.writeLog();
+		cli.log( "After write" );
+		cli.flushLog();
+		
+		setTimeout( function() {
+			var lines = readLines( file );
+			test.ok( lines.length == 2001, "All lines written once", lines.length );
+			test.ok( lines.filter( function(line) { return line.match(/After write$/); } ).length == 1, "Flushed line present" );
+			test.done();
+		}, 100 );
+	},
+	
+	function testFlushOnExit(test) {
+		// lines still in flight when the process exits via die() must all make it to disk, once
+		var file = path.join( dir, 'exit.log' );
+		var script = [
+			"var cli = require(" + JSON.stringify( path.resolve(__dirname, '../cli.js') ) + ");",
+			"cli.setLogFile(" + JSON.stringify(file) + ", { buffer: true });",
+			"for (var idx = 0; idx < 2000; idx++) cli.log('Line ' + idx);",
+			"cli.writeLog();",
+			"cli.log('After write');",
+			"cli.die('Bye\\n');"
+		].join("\n");
+		
+		var result = child_process.spawnSync( process.execPath, ['-e', script], { encoding: 'utf8' } );
+		test.ok( result.status == 1, "Exited via die", result.status );
+		
+		var lines = readLines( file );
+		test.ok( lines.length == 2002, "All lines written once", lines.length );
+		test.ok( lines[2001].match(/Bye$/), "Die message logged last", lines[2001] );
+		test.done();
+	},
+	
+	function testSharedFile(test) {
+		// two writers appending to the same file must not overwrite each other
+		var cliA = harness.create({ color: 'never' }).cli;
+		var cliB = harness.create({ color: 'never' }).cli;
+		var file = path.join( dir, 'shared.log' );
+		cliA.setLogFile( file, { buffer: true } );
+		cliB.setLogFile( file, { buffer: true } );
+		
+		cliA.log( "from A 1" );
+		cliB.log( "from B 1" );
+		cliA.writeLog();
+		cliB.writeLog();
+		cliA.log( "from A 2" );
+		cliA.flushLog();
+		cliB.log( "from B 2" );
+		cliB.flushLog();
+		
+		setTimeout( function() {
+			var lines = readLines( file ).map( function(line) { return line.replace(/^\[.+?\] /, ''); } ).sort();
+			test.ok( lines.join(',') == "from A 1,from A 2,from B 1,from B 2", "All lines from both writers", lines );
+			test.done();
+		}, 100 );
+	},
+	
+	function testTruncatedFile(test) {
+		// after an external truncate (e.g. logrotate copytruncate), lines continue at the new end
+		var cli = harness.create({ color: 'never' }).cli;
+		var file = path.join( dir, 'truncate.log' );
+		cli.setLogFile( file, { buffer: true } );
+		cli.log( "before" );
+		cli.flushLog();
+		
+		fs.truncateSync( file, 0 );
+		cli.log( "after" );
+		cli.writeLog();
+		
+		setTimeout( function() {
+			var text = fs.readFileSync( file, 'utf8' );
+			test.ok( text.indexOf("\u0000") == -1, "No gap of NUL bytes", JSON.stringify(text) );
+			test.ok( text.match(/^\[.+\] after\n$/), "Only the new line", text );
+			test.done();
+		}, 100 );
+	},
+	
+	function testSizeRotation(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var file = path.join( dir, 'size.log' );
+		cli.setLogFile( file, { maxSize: 100, maxFiles: 2 } );
+		for (var idx = 0; idx < 10; idx++) cli.log( "Line number " + idx + " is about forty bytes" );
+		
+		test.ok( fs.existsSync(file + '.1'), "Rotated to .1" );
+		test.ok( fs.existsSync(file + '.2'), "Rotated to .2" );
+		test.ok( !fs.existsSync(file + '.3'), "Old logs pruned" );
+		test.ok( readLines(file).pop().match(/Line number 9 /), "Latest line in current log" );
+		test.done();
+	},
+	
+	function testDateAndSizeRotation(test) {
+		// date rotation and size rotation may be used together
+		var cli = harness.create({ color: 'never' }).cli;
+		var file = path.join( dir, 'date.log' );
+		cli.setLogFile( file, { rotate: 'daily', maxSize: 100 } );
+		cli.log( "Yesterday" );
+		cli.logPeriod = '2000-01-01';
+		cli.log( "Today" );
+		
+		var archive = path.join( dir, 'date.2000-01-01.log' );
+		test.ok( fs.existsSync(archive), "Rotated by date" );
+		test.ok( readLines(archive)[0].match(/Yesterday$/), "Archive has old lines" );
+		
+		for (var idx = 0; idx < 5; idx++) cli.log( "Line number " + idx + " is about forty bytes" );
+		test.ok( fs.existsSync(file + '.1'), "Rotated by size within the period" );
+		test.done();
+	}
+	
+];
@@ -0,0 +1,211 @@
+// Unit tests for progress bars, groups, non-TTY mode and streams
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var lastFrame = function(term) {
+	// get the most recently drawn block of lines
+	var frames = term.stdout.plain().split("\r").filter( function(frame) { return frame.match(/\S/); } );
+	return frames[ frames.length - 1 ];
+};
+
+exports.tests = [
+	
+	function testGroup(test) {
+		var term = harness.create({ color: 'never', columns: 60 });
+		var group = term.cli.progress.group({ total: true, width: 20 });
+		var bar1 = group.add({ label: "web.tar.gz" });
+		var bar2 = group.add({ label: "db.sql" });
+		
+		bar1.update( 0.5 );
+		bar2.update({ amount: 0.25, text: "Chunk 5" });
+		term.tick( 100 );
+		
+		var lines = lastFrame(term).split("\n");
+		test.ok( lines.length == 3, "One line per bar plus total", lines );
+		test.ok( lines[0].match(/web\.tar\.gz ⟦⣿{10} {10}⟧ 50%$/), "First bar", lines[0] );
+		test.ok( lines[1].match(/db\.sql     ⟦⣿{5} {15}⟧ 25% Chunk 5$/), "Labels padded and text shown", lines[1] );
+		test.ok( lines[2].match(/Total .+ 37% 0 of 2 complete$/), "Total averages all bars", lines[2] );
+		
+		bar2.remove();
+		term.tick( 100 );
+		lines = lastFrame(term).split("\n");
+		test.ok( lines.length == 2, "Removed bar no longer drawn", lines );
+		test.ok( lines[1].match(/ 50% 0 of 1 complete$/), "Total recalculated", lines[1] );
+		
+		group.end();
+		test.done();
+	},
+	
+	function testGroupPrintAbove(test) {
+		// printing erases the block, writes the text, and redraws the block below it
+		var term = harness.create({ color: 'never' });
+		var group = term.cli.progress.group();
+		group.add({ label: "one" }).update( 0.5 );
+		term.tick( 100 );
+		term.stdout.clear();
+		
+		term.cli.print( "hello\n" );
+		var text = term.stdout.plain();
+		test.ok( text.indexOf("hello\n") > -1, "Text printed", text );
+		test.ok( text.indexOf("one") > text.indexOf("hello"), "Block redrawn after text", text );
+		
+		group.end();
+		test.done();
+	},
+	
+	function testGroupHooks(test) {
+		// process hooks are installed while the group runs, and removed when it ends
+		var exits = process.listenerCount('exit');
+		var term = harness.create({ color: 'never' });
+		var group = term.cli.progress.group();
+		group.add({ label: "one" });
+		test.ok( process.listenerCount('exit') > exits, "Exit hook installed" );
+		
+		group.end( false );
+		test.ok( process.listenerCount('exit') == exits, "Exit hook removed" );
+		test.ok( term.stdout.plain().indexOf("one") > -1, "Bars kept on screen", term.stdout.plain() );
+		test.done();
+	},
+	
+	function testNonTTYSilent(test) {
+		// by default nothing is printed without a tty
+		var term = harness.create({ color: 'never', isTTY: false });
+		term.cli.progress.start();
+		term.cli.progress.update( 0.5 );
+		term.tick( 1000 );
+		term.cli.progress.end();
+		test.ok( term.stdout.text === "", "No output", term.stdout.text );
+		test.done();
+	},
+	
+	function testNonTTYText(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		var progress = term.cli.progress;
+		progress.start({ nonTTY: 'text', text: "Copying" });
+		for (var idx = 1; idx <= 4; idx++) {
+			term.tick( 3000 );
+			progress.update( idx / 20 );
+		}
+		term.tick( 3000 );
+		progress.update( 1.0 );
+		progress.end();
+		
+		// 5% steps only print on crossing 10%, and 3 seconds is less than the 10 second interval
+		var lines = term.stdout.text.trim().split("\n");
+		test.ok( lines[0] == "0% Copying", "First line at start", lines );
+		test.ok( lines[1] == "10% (54 sec remain) Copying", "Line when crossing a step", lines );
+		test.ok( lines[2] == "20% (48 sec remain) Copying", "Steps in between skipped", lines );
+		test.ok( lines[3] == "100% (done in 15 seconds) Copying", "Final line", lines );
+		test.ok( lines.length == 4, "Lines throttled", lines );
+		test.done();
+	},
+	
+	function testNonTTYJSON(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		var progress = term.cli.progress;
+		progress.start({ nonTTY: 'json', label: "copy" });
+		term.tick( 10000 );
+		progress.update( 0.5 );
+		progress.update( 1.0 );
+		
+		var records = term.stdout.text.trim().split("\n").map( function(line) { return JSON.parse(line); } );
+		var last = records[ records.length - 1 ];
+		test.ok( records[0].type == 'progress', "Record type", records[0] );
+		test.ok( records[0].label == 'copy', "Label included", records[0] );
+		test.ok( last.pct === 100, "Percentage", last );
+		test.ok( last.elapsed === 10, "Elapsed seconds from clock", last );
+		test.ok( last.done === true, "Done flag", last );
+		progress.end();
+		test.done();
+	},
+	
+	function testNonTTYInterval(test) {
+		// a line is printed every interval even if the step was not crossed
+		var term = harness.create({ color: 'never', isTTY: false });
+		var progress = term.cli.progress;
+		progress.start({ nonTTY: 'text', nonTTYInterval: 5 });
+		progress.update( 0.01 );
+		term.tick( 5000 );
+		term.tick( 5000 );
+		progress.end();
+		
+		var lines = term.stdout.text.trim().split("\n");
+		test.ok( lines.length == 3, "One line per interval", lines );
+		test.ok( lines[2].match(/^1% \(.+ remain\)$/), "Remaining time shown", lines );
+		test.done();
+	},
+	
+	function testNonTTYGroup(test) {
+		// each bar in a group prints its own lines, prefixed by its label
+		var term = harness.create({ color: 'never', isTTY: false });
+		var group = term.cli.progress.group({ nonTTY: 'text' });
+		var bar = group.add({ label: "a" });
+		bar.update( 0.5 );
+		group.end();
+		test.ok( term.stdout.text == "a: 0%\na: 50%\n", "Labeled status lines", term.stdout.text );
+		test.done();
+	},
+	
+	function testStream(test) {
+		// stream progress shows amounts and throughput, and ends with the stream
+		var term = harness.create({ color: 'never', columns: 100 });
+		var progress = term.cli.progress;
+		var stream = progress.stream({ max: 4096, width: 20 });
+		var bytes = 0;
+		stream.on('data', function(chunk) { bytes += chunk.length; });
+		
+		stream.write( Buffer.alloc(1024) );
+		term.tick( 1000 );
+		stream.write( Buffer.alloc(1024) );
+		term.tick( 1000 );
+		
+		var frame = lastFrame(term);
+		test.ok( frame.match(/ 50% 2 K \/ 4 K [\d\.]+ K\/sec/), "Amounts and rate shown", frame );
+		
+		return new Promise( function(resolve) {
+			stream.on('end', function() {
+				test.ok( bytes == 4096, "Data passed through", bytes );
+				test.ok( !progress.running, "Bar ended with stream" );
+				resolve();
+			} );
+			stream.end( Buffer.alloc(2048) );
+		} );
+	},
+	
+	function testStreamObjectMode(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		var progress = term.cli.progress;
+		var stream = progress.stream({ objectMode: true, max: 4, nonTTY: 'text' });
+		stream.resume();
+		
+		return new Promise( function(resolve) {
+			stream.on('end', function() {
+				var text = term.stdout.text;
+				test.ok( text.indexOf("100% 4 / 4 (done") > -1, "Objects counted", text );
+				resolve();
+			} );
+			[1, 2, 3, 4].forEach( function(num) { stream.write({ num: num }); } );
+			stream.end();
+		} );
+	},
+	
+	function testGroupStreamRemove(test) {
+		var term = harness.create({ color: 'never' });
+		var group = term.cli.progress.group();
+		group.add({ label: "keep" });
+		var bar = group.add({ label: "file1.txt" });
+		var stream = bar.stream({ max: 10, remove: true });
+		stream.resume();
+		
+		return new Promise( function(resolve) {
+			stream.on('end', function() {
+				test.ok( group.bars.length == 1, "Bar removed from group", group.bars.length );
+				group.end();
+				resolve();
+			} );
+			stream.end( Buffer.alloc(10) );
+		} );
+	}
+	
+];
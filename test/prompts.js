@@ -0,0 +1,109 @@
+// Unit tests for ask and confirm prompts
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testAsk(test) {
+		var term = harness.create({ color: 'never', answers: [''] });
+		return term.run( function(cli) {
+			return cli.ask( "Name?", { default: "Joe" } ).then( function(name) {
+				test.ok( name == "Joe", "Empty answer uses default", name );
+			} );
+		} ).then( function(result) {
+			test.ok( term.stdout.plain().trim() == "Name? [Joe]", "Prompt shows default", term.stdout.plain() );
+			
+			var term2 = harness.create({ color: 'never', answers: ['abc', '42'] });
+			return term2.run( function(cli) {
+				return cli.ask( "Port?", { transform: 'number' } ).then( function(port) {
+					test.ok( port === 42, "Answer converted to number", port );
+				} );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stderr.indexOf("Please enter a number.") > -1, "Invalid answer re-asked", result.stderr );
+		} );
+	},
+	
+	function testAskValidateThrows(test) {
+		// errors thrown by user validators must reject, not crash
+		var term = harness.create({ color: 'never', answers: ['x'] });
+		return term.run( function(cli) {
+			return cli.ask( "Q?", { validate: function() { throw new Error("boom"); } } ).then(
+				function() { test.ok( false, "Should have rejected" ); },
+				function(err) { test.ok( err.message == "boom", "Rejected with validator error", err.message ); }
+			);
+		} );
+	},
+	
+	function testAskRequiredAndMessages(test) {
+		// required answers and validator messages re-ask until valid
+		var term = harness.create({ color: 'never', answers: ['', 'ab', 'abcd'] });
+		return term.run( function(cli) {
+			return cli.ask( "Code?", {
+				required: true,
+				validate: function(value) { return (value.length >= 4) || "Must be at least 4 characters."; }
+			} ).then( function(code) {
+				test.ok( code == 'abcd', "Valid answer returned", code );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stderr.indexOf("A value is required.") > -1, "Required message", result.stderr );
+			test.ok( result.stderr.indexOf("Must be at least 4 characters.") > -1, "Validator message", result.stderr );
+		} );
+	},
+	
+	function testAskPreset(test) {
+		// answers may come from an arg or env var, without prompting
+		var term = harness.create({ color: 'never', args: ['--name', 'Sue'] });
+		process.env.PIXL_CLI_TEST_COLOR = 'blue';
+		return term.run( function(cli) {
+			return cli.ask( "Name?", { arg: 'name' } ).then( function(name) {
+				test.ok( name == 'Sue', "Answer from arg", name );
+				return cli.ask( "Color?", { env: 'PIXL_CLI_TEST_COLOR' } );
+			} ).then( function(color) {
+				test.ok( color == 'blue', "Answer from env", color );
+			} );
+		} ).then( function(result) {
+			delete process.env.PIXL_CLI_TEST_COLOR;
+			test.ok( result.stdout === "", "No prompts shown", result.stdout );
+		} );
+	},
+	
+	function testAskNonTTY(test) {
+		var term = harness.create({ isTTY: false });
+		return term.run( function(cli) {
+			return cli.ask( "Name?", { default: "Joe" } ).then( function(name) {
+				test.ok( name == "Joe", "Default used without a TTY", name );
+				return cli.ask( "Name?", { nonTTY: 'error' } );
+			} ).then(
+				function() { test.ok( false, "Should have rejected" ); },
+				function(err) { test.ok( err.message.match(/not connected to a terminal/), "Rejected without a TTY", err.message ); }
+			);
+		} );
+	},
+	
+	function testConfirm(test) {
+		var term = harness.create({ color: 'never', answers: ['maybe', 'YES'] });
+		return term.run( function(cli) {
+			return cli.confirm( "Sure?" ).then( function(yes) {
+				test.ok( yes === true, "Confirmed", yes );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stderr.indexOf("Please answer yes or no.") > -1, "Invalid answer re-asked", result.stderr );
+		} );
+	},
+	
+	function testConfirmNonTTY(test) {
+		var term = harness.create({ isTTY: false });
+		return term.run( function(cli) {
+			return cli.confirm( "Sure?", false ).then( function(yes) {
+				test.ok( yes === false, "Default used without a TTY", yes );
+				return cli.confirm( "Sure?" );
+			} ).then(
+				function() { test.ok( false, "Should have rejected" ); },
+				function(err) { test.ok( err.message.match(/not connected to a terminal and no default/), "Explains missing TTY", err.message ); }
+			);
+		} );
+	}
+	
+];
@@ -0,0 +1,168 @@
+// Unit tests for the interactive shell
+// Run via: npm test
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-repl-' + process.pid );
+
+var commands = function(cli, ran) {
+	// small command set which records each run
+	return {
+		deploy: {
+			description: "Deploy the app.",
+			args: { force: { type: 'boolean' }, env: { choices: ['dev', 'prod'] } },
+			handler: function(args) { ran.push( 'deploy ' + args.other.join(' ') + (args.force ? ' forced' : '') ); }
+		},
+		wait: function(args) {
+			return new Promise( function(resolve) { setTimeout( function() { ran.push('wait'); resolve(); }, 10 ); } );
+		},
+		fail: function() { throw new Error("Something broke"); },
+		db: { commands: { migrate: function() { ran.push('migrate'); }, seed: function() { ran.push('seed'); } } }
+	};
+};
+
+var type = function(term, keys) {
+	// push each chunk of keys separately, so readline sees a tab as a keypress (not a paste)
+	if (!keys.length) return;
+	setTimeout( function() {
+		term.stdin.push( keys[0] );
+		type( term, keys.slice(1) );
+	}, 10 );
+};
+
+exports.setUp = function(callback) {
+	fs.mkdirSync( dir, { recursive: true } );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	fs.rmSync( dir, { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testReplCommands(test) {
+		var ran = [];
+		var term = harness.create({ color: 'never' });
+		term.answer( 'deploy web --force', 'wait', 'db migrate', 'exit' );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', commands: commands(cli, ran) });
+		} ).then( function(result) {
+			test.ok( ran.join(',') == 'deploy web forced,wait,migrate', "Commands run in order", ran );
+			test.ok( term.stdout.plain().indexOf("app> ") > -1, "Prompt shown", term.stdout.plain() );
+			test.ok( term.cli.activeRepl === null, "Shell no longer active" );
+		} );
+	},
+	
+	function testReplErrors(test) {
+		// errors are printed and the shell keeps running
+		var ran = [];
+		var term = harness.create({ color: 'never' });
+		term.answer( 'fail', 'deplyo', 'deploy --env test', 'deploy ok', 'quit' );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', commands: commands(cli, ran) });
+		} ).then( function(result) {
+			test.ok( result.code === 0, "No exit", result );
+			test.ok( result.stderr.indexOf("Something broke") > -1, "Thrown error printed", result.stderr );
+			test.ok( result.stderr.indexOf("Unknown command: deplyo\nDid you mean: deploy?") > -1, "Unknown command hint", result.stderr );
+			test.ok( result.stderr.indexOf("--env") > -1, "Arg validation error printed", result.stderr );
+			test.ok( ran.join(',') == 'deploy ok', "Shell kept running", ran );
+		} );
+	},
+	
+	function testReplHelp(test) {
+		var term = harness.create({ color: 'never' });
+		term.answer( 'help', 'help deploy', 'exit' );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', commands: commands(cli, []) });
+		} ).then( function(result) {
+			var text = term.stdout.plain();
+			test.ok( text.match(/│ deploy\s+│ Deploy the app\.\s+│/), "Help table lists commands", text );
+			test.ok( text.match(/│ exit\s+│ Exit the shell\.\s+│/), "Built-in commands listed", text );
+			test.ok( text.indexOf("Usage: app deploy") > -1, "Help for one command", text );
+		} );
+	},
+	
+	function testReplPiped(test) {
+		// piped lines run in turn without a prompt, even while an async command is running
+		var ran = [];
+		var term = harness.create({ color: 'never', isTTY: false });
+		term.stdin.push( "wait\ndeploy a\ndb seed\n" );
+		term.stdin.push( null );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', commands: commands(cli, ran) });
+		} ).then( function(result) {
+			test.ok( ran.join(',') == 'wait,deploy a,seed', "All lines run in order", ran );
+			test.ok( term.stdout.text.indexOf("app> ") == -1, "No prompt shown", term.stdout.text );
+		} );
+	},
+	
+	function testReplContinuation(test) {
+		var ran = [];
+		var file = path.join( dir, 'cont_history' );
+		var term = harness.create({ color: 'never' });
+		term.answer( 'deploy one \\', 'two', 'exit' );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', history: file, commands: commands(cli, ran) });
+		} ).then( function(result) {
+			test.ok( ran.join(',') == 'deploy one two', "Continued line run as one command", ran );
+			test.ok( term.stdout.plain().indexOf("... ") > -1, "Continuation prompt shown", term.stdout.plain() );
+			
+			var lines = fs.readFileSync( file, 'utf8' ).split("\n");
+			test.ok( lines[0] == 'deploy one two', "Continued lines saved as one history entry", lines );
+		} );
+	},
+	
+	function testReplHistory(test) {
+		// history file is loaded oldest first, and new commands are appended
+		var file = path.join( dir, 'history' );
+		fs.writeFileSync( file, "db seed\ndeploy old\n" );
+		var term = harness.create({ color: 'never' });
+		term.answer( 'db migrate', 'exit' );
+		
+		return term.run( function(cli) {
+			var promise = cli.repl({ name: 'app', history: file, commands: commands(cli, []) });
+			test.ok( cli.activeRepl.rl.history.join(',') == 'deploy old,db seed', "History loaded newest first", cli.activeRepl.rl.history );
+			return promise;
+		} ).then( function(result) {
+			var text = fs.readFileSync( file, 'utf8' );
+			test.ok( text == "db seed\ndeploy old\ndb migrate\nexit\n", "History saved oldest first", text );
+		} );
+	},
+	
+	function testReplCompletion(test) {
+		var ran = [];
+		var term = harness.create({ color: 'never' });
+		type( term, ['dep', "\t", "\r", 'db ', "\t", "\t", "\u0015exit\r"] );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', commands: commands(cli, ran) });
+		} ).then( function(result) {
+			test.ok( ran[0] == 'deploy ', "Command name completed", ran );
+			test.ok( term.stdout.plain().match(/migrate\s+seed/), "Subcommands listed on double tab", term.stdout.plain() );
+		} );
+	},
+	
+	function testReplCtrlC(test) {
+		// ctrl-c twice on an empty line exits the shell
+		var term = harness.create({ color: 'never' });
+		type( term, ["\u0003", "\u0003"] );
+		
+		return term.run( function(cli) {
+			return cli.repl({ name: 'app', commands: commands(cli, []) });
+		} ).then( function(result) {
+			test.ok( result.code === 0, "Shell exited without exiting process", result );
+			test.ok( term.stdout.plain().indexOf("(To exit, press Ctrl-C again or Ctrl-D, or type exit)") > -1, "Hint shown", term.stdout.plain() );
+		} );
+	}
+	
+];
@@ -0,0 +1,117 @@
+// Unit tests for select, multiSelect and password prompts
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testSelectNumbered(test) {
+		// no raw mode, so select falls back to a numbered list
+		var term = harness.create({ color: 'never', answers: ['3'] });
+		return term.run( function(cli) {
+			return cli.select( "Env?", ['dev', 'staging', 'prod'] ).then( function(env) {
+				test.ok( env == 'prod', "Picked by number", env );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stdout.indexOf("  3) prod") > -1, "Numbered list shown", result.stdout );
+		} );
+	},
+	
+	function testSelectKeys(test) {
+		var term = harness.create({ color: 'never', rawMode: true });
+		term.answer( "\u001b[B\u001b[B" );
+		return term.run( function(cli) {
+			return cli.select( "Env?", ['dev', 'staging', 'prod'] ).then( function(env) {
+				test.ok( env == 'prod', "Picked with arrow keys", env );
+			} );
+		} );
+	},
+	
+	function testSelectEmptyFilter(test) {
+		// pressing down with no matches must not break the cursor
+		var term = harness.create({ color: 'never', rawMode: true });
+		term.answer( "zzz\u001b[B\u007f\u007f\u007f\u001b[B" );
+		return term.run( function(cli) {
+			return cli.select( "Env?", ['dev', 'staging', 'prod'] ).then( function(env) {
+				test.ok( env == 'staging', "Cursor recovered after empty filter", env );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stdout.indexOf("(no matches)") > -1, "Empty filter shown", result.stdout );
+		} );
+	},
+	
+	function testSelectFitsWidth(test) {
+		var term = harness.create({ color: 'never', rawMode: true, columns: 20 });
+		term.answer( "" );
+		return term.run( function(cli) {
+			return cli.select( "Pick", ['a very long label which cannot possibly fit'] );
+		} ).then( function(result) {
+			var lines = term.stdout.plain().split(/\r?\n|\r|\u001b\[\d*[AJ]/);
+			var widest = Math.max.apply( Math, lines.map( function(line) { return line.replace(/\u001b\[\?25[lh]/g, '').length; } ) );
+			test.ok( widest < 20, "No line wraps the terminal", lines );
+		} );
+	},
+	
+	function testMultiSelect(test) {
+		var term = harness.create({ color: 'never', rawMode: true });
+		term.answer( " \u001b[B\u001b[B " );
+		return term.run( function(cli) {
+			return cli.multiSelect( "Features?", ['a', 'b', 'c'] ).then( function(values) {
+				test.ok( values.join(',') == 'a,c', "Toggled items returned", values );
+			} );
+		} );
+	},
+	
+	function testSelectDefaultAndFilter(test) {
+		var term = harness.create({ color: 'never', rawMode: true });
+		term.answer( "" );
+		return term.run( function(cli) {
+			return cli.select( "Env?", ['dev', 'staging', 'prod'], { default: 'staging' } ).then( function(env) {
+				test.ok( env == 'staging', "Default highlighted", env );
+				term.answer( "pro" );
+				return cli.select( "Env?", ['dev', 'staging', 'prod'] );
+			} ).then( function(env) {
+				test.ok( env == 'prod', "Typing filters the list", env );
+			} );
+		} );
+	},
+	
+	function testMultiSelectObjects(test) {
+		var term = harness.create({ color: 'never', rawMode: true });
+		term.answer( "\u001b[B " );
+		return term.run( function(cli) {
+			return cli.multiSelect( "Services?", [
+				{ label: "Web Server", value: "web" },
+				{ label: "API Server", value: "api" }
+			], { default: ['web'] } ).then( function(values) {
+				test.ok( values.join(',') == 'web,api', "Values from objects, with defaults", values );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stdout.indexOf("API Server") > -1, "Labels shown", result.stdout );
+		} );
+	},
+	
+	function testPasswordValidateThrows(test) {
+		// errors thrown by user validators must reject, not crash
+		var term = harness.create({ color: 'never', rawMode: true, answers: ['x'] });
+		return term.run( function(cli) {
+			return cli.password( "Password:", { validate: function() { throw new Error("boom"); } } ).then(
+				function() { test.ok( false, "Should have rejected" ); },
+				function(err) { test.ok( err.message == "boom", "Rejected with validator error", err.message ); }
+			);
+		} );
+	},
+	
+	function testPassword(test) {
+		var term = harness.create({ color: 'never', rawMode: true, answers: ['hunter2'] });
+		return term.run( function(cli) {
+			return cli.password( "Password:" ).then( function(answer) {
+				test.ok( answer == 'hunter2', "Password returned", answer );
+			} );
+		} ).then( function(result) {
+			test.ok( result.stdout.indexOf("hunter2") == -1, "Password not echoed", result.stdout );
+			test.ok( result.stdout.indexOf("*******") > -1, "Password masked", result.stdout );
+		} );
+	}
+	
+];
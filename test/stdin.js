@@ -0,0 +1,120 @@
+// Unit tests for reading stdin and the `-` filename
+// Run via: npm test
+
+var Readable = require('stream').Readable;
+var harness = require('../harness.js');
+
+var feed = function(term, chunks) {
+	// push chunks into the virtual stdin, then end it
+	chunks.forEach( function(chunk) { term.stdin.push( chunk ); } );
+	term.stdin.push( null );
+};
+
+exports.tests = [
+	
+	function testReadStdin(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		feed( term, ["hello ", "wörld\n"] );
+		test.ok( term.cli.piped() === true, "Input is piped" );
+		
+		return term.cli.readStdin().then( function(text) {
+			test.ok( text == "hello wörld\n", "All chunks read", text );
+			
+			var term2 = harness.create({ color: 'never', isTTY: false });
+			feed( term2, ["abc"] );
+			return term2.cli.readStdin({ encoding: null });
+		} ).then( function(data) {
+			test.ok( Buffer.isBuffer(data) && (data.length == 3), "Raw buffer returned", data );
+		} );
+	},
+	
+	function testReadLines(test) {
+		// async handlers are run one at a time, in order
+		var term = harness.create({ color: 'never', isTTY: false });
+		feed( term, ["one\r\ntw", "o\nthree"] );
+		var lines = [];
+		var running = 0;
+		var overlap = false;
+		
+		return term.cli.readLines( function(line, idx) {
+			if (running++) overlap = true;
+			return new Promise( function(resolve) {
+				setTimeout( function() { lines.push( idx + ':' + line ); running--; resolve(); }, 5 );
+			} );
+		} ).then( function(count) {
+			test.ok( count == 3, "Line count", count );
+			test.ok( lines.join(',') == "0:one,1:two,2:three", "Lines split across chunks, last line without newline", lines );
+			test.ok( !overlap, "Handler calls never overlap" );
+		} );
+	},
+	
+	function testReadLinesError(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		feed( term, ["a\nb\nc\n"] );
+		var seen = [];
+		
+		return term.cli.readLines( function(line) {
+			seen.push( line );
+			if (line == 'b') throw new Error("bad line");
+		} ).then(
+			function() { test.ok( false, "Should have rejected" ); },
+			function(err) {
+				test.ok( err.message == "bad line", "Rejected with handler error", err.message );
+				test.ok( seen.join(',') == "a,b", "Reading stopped", seen );
+			}
+		);
+	},
+	
+	function testReadRecords(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		feed( term, ['{"id":1}\n\n{"id":2}\n'] );
+		var ids = [];
+		
+		return term.cli.readRecords( function(record, idx) {
+			ids.push( idx + ':' + record.id );
+		} ).then( function(count) {
+			test.ok( count == 2, "Blank lines skipped", count );
+			test.ok( ids.join(',') == "0:1,1:2", "Records parsed", ids );
+			
+			// read from another stream, with its own name in errors
+			var stream = new Readable({ read: function() {} });
+			stream.push( '{"id":1}\n{oops}\n' );
+			stream.push( null );
+			return term.cli.readRecords( function() {}, { stream: stream, file: 'events.ndjson' } );
+		} ).then(
+			function() { test.ok( false, "Should have rejected" ); },
+			function(err) {
+				test.ok( err instanceof SyntaxError, "SyntaxError thrown", err );
+				test.ok( err.message.indexOf("events.ndjson:2: ") === 0, "Error names file and line", err.message );
+				test.ok( err.line == 2, "Line recorded", err.line );
+			}
+		);
+	},
+	
+	function testDashFilename(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		var cli = term.cli;
+		feed( term, ['{"port": 80,}'] );
+		
+		// a stream can't be read synchronously
+		var err = null;
+		try { cli.loadFile( '-' ); } catch (e) { err = e; }
+		test.ok( err && err.message.match(/loadFileAsync/), "Sync load of custom stdin throws", err );
+		
+		cli.saveFile( '-', "sync out\n" );
+		cli.saveJSON( '-', { a: 1 }, { indent: 0 } );
+		test.ok( term.stdout.text == 'sync out\n{"a":1}\n', "Sync saves write to instance stdout", term.stdout.text );
+		term.stdout.clear();
+		
+		return cli.loadJSONAsync( '-' ).then(
+			function() { test.ok( false, "Should have rejected" ); },
+			function(err) {
+				test.ok( err.message.indexOf("stdin:1:") === 0, "Parse errors reported against stdin", err.message );
+				return cli.saveFileAsync( '-', "async out\n" );
+			}
+		).then( function() {
+			test.ok( term.stdout.text == "async out\n", "Async save writes to instance stdout", term.stdout.text );
+		} );
+	}
+	
+];
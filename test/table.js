@@ -0,0 +1,97 @@
+// Unit tests for tables
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var rows = [
+	[ "Filename", "Size", "Status" ],
+	[ "web.tar.gz", "5 MB", "OK" ],
+	[ "db.sql", "100 MB", "Failed" ]
+];
+
+exports.tests = [
+	
+	function testTable(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.table( rows );
+		test.ok( text == [
+			"┌────────────┬────────┬────────┐",
+			"│ Filename   │ Size   │ Status │",
+			"├────────────┼────────┼────────┤",
+			"│ web.tar.gz │ 5 MB   │ OK     │",
+			"│ db.sql     │ 100 MB │ Failed │",
+			"└────────────┴────────┴────────┘"
+		].join("\n"), "Basic table", text );
+		test.ok( rows[1][0] == "web.tar.gz", "Rows not modified" );
+		test.done();
+	},
+	
+	function testColumnOptions(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.table( rows, {
+			columns: [ { maxWidth: 6 }, { align: 'right' }, { align: 'center', minWidth: 8 } ]
+		} );
+		var lines = text.split("\n");
+		test.ok( lines[3] == "│ web.t… │   5 MB │    OK    │", "Truncated, right and center aligned", lines[3] );
+		test.ok( lines[1] == "│ Filen… │   Size │  Status  │", "Header follows column alignment", lines[1] );
+		test.done();
+	},
+	
+	function testColumnStyles(test) {
+		// style functions receive the raw value and the row
+		var cli = harness.create({ color: 'always' }).cli;
+		var text = cli.stripColor( cli.table( rows, {
+			columns: [ {}, {}, { styles: function(value, row) { return (value == "OK") ? ["green"] : ["red", function(text) { return text.toUpperCase(); }]; } } ]
+		} ) );
+		test.ok( text.indexOf("│ FAILED │") > -1, "Column style applied", text );
+		test.ok( text.indexOf("│ OK     │") > -1, "Style chosen per value", text );
+		test.ok( text.indexOf("│ Status │") > -1, "Header not affected", text );
+		test.done();
+	},
+	
+	function testMultiLineAndWrap(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.table( [ ["Name", "Notes"], ["a.txt", "First line\nSecond line"], ["bb.bin", "The quick brown fox jumped over the lazy dog."] ], {
+			columns: [ {}, { maxWidth: 26 } ],
+			wrap: true
+		} );
+		var lines = text.split("\n");
+		test.ok( lines[3] == "│ a.txt  │ First line                 │", "First line of multi-line cell", lines );
+		test.ok( lines[4] == "│        │ Second line                │", "Second line of multi-line cell", lines );
+		test.ok( lines[5] == "│ bb.bin │ The quick brown fox jumped │", "Wrapped cell", lines );
+		test.ok( lines[6] == "│        │ over the lazy dog.         │", "Wrapped cell continued", lines );
+		test.done();
+	},
+	
+	function testWrapLongWord(test) {
+		// words too long for the column are split, not truncated
+		var cli = harness.create({ color: 'never' }).cli;
+		var value = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWX";
+		var text = cli.table( [ ["Key"], [value] ], { columns: [ { maxWidth: 20, wrap: true } ] } );
+		var cells = text.split("\n").slice(3, -1).map( function(line) { return line.replace(/^│ /, '').replace(/\s*│$/, ''); } );
+		test.ok( cells.join('') == value, "Whole value shown across lines", cells );
+		test.ok( text.indexOf("…") == -1, "Nothing truncated", text );
+		test.done();
+	},
+	
+	function testFooterAndSeparators(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.table( rows, { footer: [ "Total", "105 MB", "" ], separators: true, header: false } );
+		var lines = text.split("\n");
+		test.ok( lines.length == 9, "Divider between every row", lines );
+		test.ok( lines[1] == "│ Filename   │ Size   │ Status │", "No header divider", lines );
+		test.ok( lines[2].match(/^├─+┼/), "Separator line", lines );
+		test.ok( lines[7] == "│ Total      │ 105 MB │        │", "Footer row", lines );
+		test.done();
+	},
+	
+	function testAutoFit(test) {
+		var cli = harness.create({ color: 'never', columns: 30 }).cli;
+		var text = cli.table( [ ["Name", "Description"], ["x", "A very long description which will not fit in thirty columns"] ], { autoFit: true } );
+		var widest = Math.max.apply( Math, text.split("\n").map( function(line) { return line.length; } ) );
+		test.ok( widest <= 30, "Table fits terminal", text );
+		test.ok( text.indexOf("…") > -1, "Long cell truncated", text );
+		test.done();
+	}
+	
+];
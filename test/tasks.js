@@ -0,0 +1,92 @@
+// Unit tests for task lists
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testTasksPlain(test) {
+		// non-tty mode prints one line per finished task
+		var term = harness.create({ color: 'never', isTTY: false });
+		return term.run( function(cli) {
+			return cli.tasks([
+				{ title: "Install", task: function(ctx) { ctx.installed = true; } },
+				{ title: "Build", task: function(ctx, task) { task.setTitle("Build (2 files)"); } },
+				{ title: "Lint", skip: "disabled" }
+			]).then( function(ctx) {
+				test.ok( ctx.installed === true, "Context passed between tasks", ctx );
+			} );
+		} ).then( function(result) {
+			var text = result.stdout;
+			test.ok( text.indexOf("✔ Install") > -1, "Success line", text );
+			test.ok( text.indexOf("✔ Build (2 files)") > -1, "Title updated by task", text );
+			test.ok( text.indexOf("↓ Lint [skipped: disabled]") > -1, "Skip reason shown", text );
+			test.ok( text.indexOf("3 tasks: 2 succeeded, 1 skipped") > -1, "Summary line", text );
+		} );
+	},
+	
+	function testTaskFailureCounts(test) {
+		// a failed subtask is counted once, and the summary, message and errors all agree
+		var term = harness.create({ color: 'never', isTTY: false });
+		return term.run( function(cli) {
+			return cli.tasks([
+				{ title: "A", task: function() {} },
+				{ title: "Parent", tasks: [
+					{ title: "B", task: function() {} },
+					{ title: "C", task: function() { throw new Error("C broke"); } },
+					{ title: "D", task: function() { return Promise.resolve(); } }
+				] },
+				{ title: "E", task: function() {} },
+				{ title: "F", task: function() {} }
+			]).then(
+				function() { test.ok( false, "Should have rejected" ); },
+				function(err) {
+					test.ok( err.message == "1 of 6 tasks failed.", "Rejection message", err.message );
+					test.ok( err.errors.length == 1, "One error collected", err.errors );
+					test.ok( err.errors[0].title == "C", "Error belongs to subtask", err.errors[0] );
+				}
+			);
+		} ).then( function(result) {
+			test.ok( result.stdout.indexOf("6 tasks: 5 succeeded, 1 failed") > -1, "Summary agrees", result.stdout );
+			test.ok( result.stdout.indexOf("✖ C: C broke") > -1, "Failure listed", result.stdout );
+		} );
+	},
+	
+	function testExitOnError(test) {
+		var term = harness.create({ color: 'never', isTTY: false });
+		var ran = false;
+		return term.run( function(cli) {
+			return cli.tasks([
+				{ title: "A", task: function() { throw new Error("nope"); } },
+				{ title: "B", task: function() { ran = true; } }
+			], { exitOnError: true } ).then( null, function(err) {
+				test.ok( err.errors.length == 1, "One error", err.errors );
+			} );
+		} ).then( function(result) {
+			test.ok( !ran, "Remaining tasks were not run" );
+			test.ok( result.stdout.indexOf("2 tasks: 0 succeeded, 1 failed, 1 not run") > -1, "Summary counts unrun tasks", result.stdout );
+		} );
+	},
+	
+	function testTasksLive(test) {
+		// tty mode draws a live block, and leaves the final state on screen
+		var term = harness.create({ color: 'never' });
+		var release = null;
+		var promise = term.run( function(cli) {
+			return cli.tasks([
+				{ title: "Wait", task: function() { return new Promise( function(resolve) { release = resolve; } ); } }
+			], { summary: false } );
+		} );
+		
+		return new Promise( function(resolve) { setImmediate(resolve); } ).then( function() {
+			term.tick( 500 );
+			test.ok( term.stdout.plain().indexOf("Wait") > -1, "Running task drawn", term.stdout.plain() );
+			release();
+			return promise;
+		} ).then( function(result) {
+			test.ok( result.code === 0, "No exit", result );
+			test.ok( term.stdout.plain().indexOf("✔ Wait") > -1, "Final state drawn", term.stdout.plain() );
+		} );
+	}
+	
+];
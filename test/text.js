@@ -0,0 +1,51 @@
+// Unit tests for word-wrapping
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+exports.tests = [
+	
+	function testWrap(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.wrap( "the quick brown fox jumps over the lazy dog", 10 );
+		test.ok( text == "the quick\nbrown fox\njumps over\nthe lazy\ndog", "Wrapped at word boundaries", text );
+		
+		text = cli.wrap( "one two\n\nthree", 20 );
+		test.ok( text == "one two\n\nthree", "Existing newlines preserved", text );
+		
+		text = cli.wrap( new Array(21).join("word ") );
+		test.ok( text == new Array(11).join("word ").trim() + "\n" + new Array(11).join("word ").trim(), "Width defaults to 50", text );
+		test.done();
+	},
+	
+	function testWrapColorAndWide(test) {
+		// colors count as zero columns and are re-opened on each line, wide chars count as two
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.wrap( "\u001b[31mred words here go on\u001b[39m", 10 );
+		test.ok( text == "\u001b[31mred words\u001b[39m\n\u001b[31mhere go on\u001b[39m", "Color closed and re-opened", JSON.stringify(text) );
+		
+		text = cli.wrap( "日本語のテキスト", 6 );
+		test.ok( text == "日本語\nのテキ\nスト", "Wide text split between characters", text );
+		test.done();
+	},
+	
+	function testWrapOptions(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.wrap( "- one two three four", 10, { hangingIndent: 2 } );
+		test.ok( text == "- one two\n  three\n  four", "Hanging indent", text );
+		
+		text = cli.wrap( "abcdefghijklmnop xy", 6 );
+		test.ok( text == "abcdefghijklmnop\nxy", "Long word overflows by default", text );
+		
+		text = cli.wrap( "abcdefghijklmnop xy", 6, { cut: true } );
+		test.ok( text == "abcdef\nghijkl\nmnop\nxy", "Long word cut", text );
+		
+		text = cli.wrap( "a b c\nde", 6, { align: 'right' } );
+		test.ok( text == " a b c\n    de", "Right aligned", JSON.stringify(text) );
+		
+		text = cli.wrap( "aa b cc dd ee", 9, { align: 'justify' } );
+		test.ok( text == "aa  b  cc\ndd ee", "Justified, except last line", JSON.stringify(text) );
+		test.done();
+	}
+	
+];
@@ -0,0 +1,107 @@
+// Unit tests for themes and color policy
+// Run via: npm test
+
+var harness = require('../harness.js');
+
+var saved = {};
+
+exports.setUp = function(callback) {
+	// color detection depends on these, so start from a clean slate
+	['NO_COLOR', 'FORCE_COLOR', 'TERM'].forEach( function(key) {
+		saved[key] = process.env[key];
+		delete process.env[key];
+	} );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	for (var key in saved) {
+		if (saved[key] === undefined) delete process.env[key];
+		else process.env[key] = saved[key];
+	}
+	callback();
+};
+
+exports.tests = [
+	
+	function testColorPolicy(test) {
+		test.ok( harness.create({ color: 'auto' }).cli.color === true, "Color on a terminal" );
+		test.ok( harness.create({ color: 'auto', isTTY: false }).cli.color === false, "No color when piped" );
+		
+		// an explicit color option takes precedence over args, so apply the args policy by hand
+		var fromArgs = function(opts) {
+			var cli = harness.create( opts ).cli;
+			return cli.setColor( cli.getColorArg() );
+		};
+		test.ok( fromArgs({ args: ['--no-color'] }) === false, "No color from --no-color" );
+		test.ok( fromArgs({ args: ['--color=never'] }) === false, "No color from --color=never" );
+		test.ok( fromArgs({ isTTY: false, args: ['--color', 'always'] }) === true, "Forced color from --color always" );
+		test.ok( fromArgs({ isTTY: false, args: [] }) === false, "Auto by default" );
+		
+		
+		process.env.NO_COLOR = '1';
+		test.ok( harness.create({ color: 'auto' }).cli.color === false, "NO_COLOR disables color" );
+		process.env.FORCE_COLOR = '1';
+		test.ok( harness.create({ color: 'auto', isTTY: false }).cli.color === true, "FORCE_COLOR wins over NO_COLOR" );
+		delete process.env.NO_COLOR;
+		delete process.env.FORCE_COLOR;
+		
+		process.env.TERM = 'dumb';
+		test.ok( harness.create({ color: 'auto' }).cli.color === false, "No color on a dumb terminal" );
+		test.done();
+	},
+	
+	function testSetColor(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		test.ok( cli.red("x") === "x", "Chalk methods follow the policy" );
+		test.ok( cli.setColor(true) === true, "Returns new state" );
+		test.ok( cli.red("x") == "\u001b[31mx\u001b[39m", "Chalk methods enabled" );
+		
+		var threw = false;
+		try { cli.setColor('sometimes'); } catch (err) { threw = true; }
+		test.ok( threw, "Unknown mode throws" );
+		test.done();
+	},
+	
+	function testStyleFunctionsWithoutColor(test) {
+		// named styles are dropped without color, but functions still apply since they may change the text
+		var cli = harness.create({ color: 'never' }).cli;
+		var upper = function(text) { return text.toUpperCase(); };
+		test.ok( cli.applyStyles( "hello", ["magenta", upper] ) === "HELLO", "Function applied, color skipped" );
+		
+		var text = cli.box( "hi", { styles: ["magenta", upper] } );
+		test.ok( text == "┌────┐\n│ hi │\n└────┘", "Box border styles", text );
+		text = cli.table( [ ["a"], ["b"] ], { textStyles: [upper] } );
+		test.ok( text.indexOf("│ B │") > -1, "Table text transformed", text );
+		test.done();
+	},
+	
+	function testSetTheme(test) {
+		var cli = harness.create({ color: 'always' }).cli;
+		cli.setTheme({ box: { styles: ["red"] } });
+		test.ok( cli.theme.box.titleStyles.join(',') == 'bold', "Other keys in section kept" );
+		test.ok( cli.box("x").indexOf("\u001b[31m┌") == 0, "Theme style used" );
+		test.ok( cli.box("x", { styles: ["green"] }).indexOf("\u001b[32m┌") == 0, "Call options take precedence" );
+		
+		var other = harness.create({ color: 'always' }).cli;
+		test.ok( other.theme.box.styles.join(',') == 'gray', "Theme is per instance" );
+		test.done();
+	},
+	
+	function testProgressDefaultStyles(test) {
+		// styles set in progress.defaults are layered on top of the theme
+		var term = harness.create({ color: 'always' });
+		term.cli.setTheme({ progress: { pct: ["red"] } });
+		term.cli.progress.defaults.styles = { bar: ["magenta"] };
+		term.cli.progress.start({ width: 10 });
+		term.cli.progress.update( 0.5 );
+		term.tick( 100 );
+		term.cli.progress.end();
+		
+		var text = term.stdout.text;
+		test.ok( text.indexOf("\u001b[35m⣿⣿⣿⣿⣿") > -1, "Default styles honored", JSON.stringify(text) );
+		test.ok( text.indexOf( term.cli.red("50%") ) > -1, "Theme styles still used", JSON.stringify(text) );
+		test.done();
+	}
+	
+];
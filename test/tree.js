@@ -0,0 +1,140 @@
+// Unit tests for directory and in-memory trees
+// Run via: npm test
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var harness = require('../harness.js');
+
+var dir = path.join( os.tmpdir(), 'pixl-cli-tree-' + process.pid, 'proj' );
+
+exports.setUp = function(callback) {
+	// proj/ with README.md, docs/, src/big.js, src/lib/a.js and a few symlinks
+	fs.mkdirSync( path.join(dir, 'src', 'lib'), { recursive: true } );
+	fs.mkdirSync( path.join(dir, 'docs') );
+	fs.writeFileSync( path.join(dir, 'README.md'), "hello" );
+	fs.writeFileSync( path.join(dir, 'src', 'big.js'), Buffer.alloc(2000, 32) );
+	fs.writeFileSync( path.join(dir, 'src', 'lib', 'a.js'), "x\n" );
+	fs.symlinkSync( 'src', path.join(dir, 'linksrc') );
+	fs.symlinkSync( '..', path.join(dir, 'src', 'lib', 'up') );
+	fs.symlinkSync( 'nothere', path.join(dir, 'broken') );
+	callback();
+};
+
+exports.tearDown = function(callback) {
+	fs.rmSync( path.dirname(dir), { recursive: true, force: true } );
+	callback();
+};
+
+exports.tests = [
+	
+	function testTree(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.tree( dir, '', { sort: 'name' } );
+		test.ok( text == [
+			"proj/",
+			" ├ broken -> nothere (broken)",
+			" ├ docs/",
+			" ├ linksrc/ -> src",
+			" │  ├ big.js",
+			" │  └ lib/",
+			" │     ├ a.js",
+			" │     └ up/ -> .. (loop)",
+			" ├ README.md",
+			" └ src/",
+			"    ├ big.js",
+			"    └ lib/",
+			"       ├ a.js",
+			"       └ up/ -> .. (loop)"
+		].join("\n"), "Symlinks followed by default, with loops and broken links marked", text );
+		test.done();
+	},
+	
+	function testTreeOptions(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.tree( dir, '', { sort: 'name', dirsFirst: true, maxDepth: 1, counts: true, sizes: true } );
+		test.ok( text == [
+			"proj/ (5 items)",
+			" ├ docs/ (0 items)",
+			" ├ linksrc/ -> src (2 items)",
+			" ├ src/ (2 items)",
+			" ├ broken -> nothere (broken)",
+			" └ README.md (5 bytes)"
+		].join("\n"), "Dirs first, depth limit, counts and sizes", text );
+		test.done();
+	},
+	
+	function testTreeNoFollow(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.tree( dir, '', { sort: 'name', followSymlinks: false, excludeFilter: /^docs$/ } );
+		test.ok( text == [
+			"proj/",
+			" ├ broken -> nothere",
+			" ├ linksrc -> src",
+			" ├ README.md",
+			" └ src/",
+			"    ├ big.js",
+			"    └ lib/",
+			"       ├ a.js",
+			"       └ up -> .."
+		].join("\n"), "Links shown without following, filter applied", text );
+		
+		text = cli.tree( dir, '', { includeFilter: /^(src|big\.js)$/, followSymlinks: false } );
+		test.ok( text == "proj/\n └ src/\n    └ big.js", "Include filter", text );
+		test.done();
+	},
+	
+	function testTreeRootLabel(test) {
+		// the root is labeled with the path as given, unless resolveRoot is set
+		var cli = harness.create({ color: 'never' }).cli;
+		var cwd = process.cwd();
+		process.chdir( dir );
+		var plain = cli.tree( '.', '', { maxDepth: 1 } ).split("\n")[0];
+		var resolved = cli.tree( '.', '', { maxDepth: 1, resolveRoot: true } ).split("\n")[0];
+		process.chdir( cwd );
+		test.ok( plain == "./", "Root label as given", plain );
+		test.ok( resolved == "proj/", "Resolved root label", resolved );
+		test.done();
+	},
+	
+	function testTreeUnreadable(test) {
+		// unreadable subdirectories are marked with the error code, and the rest is still rendered
+		var cli = harness.create({ color: 'never' }).cli;
+		var readdirSync = fs.readdirSync;
+		fs.readdirSync = function(file) {
+			if (('' + file).match(/docs$/)) {
+				var err = new Error("Permission denied");
+				err.code = 'EACCES';
+				throw err;
+			}
+			return readdirSync.apply( fs, arguments );
+		};
+		
+		var text = '';
+		try { text = cli.tree( dir, '', { sort: 'name', maxDepth: 1, counts: true } ); }
+		finally { fs.readdirSync = readdirSync; }
+		
+		test.ok( text.indexOf(" ├ docs/ (EACCES)\n") > -1, "Error code shown", text );
+		test.ok( text.indexOf(" └ src/ (2 items)") > -1, "Rest of tree rendered", text );
+		test.done();
+	},
+	
+	function testTreeData(test) {
+		var cli = harness.create({ color: 'never' }).cli;
+		var text = cli.treeData( { server: { port: 80, hosts: ["web01", "web02"] }, debug: false }, { root: "config" } );
+		test.ok( text == [
+			"config",
+			" ├ server",
+			" │  ├ port: 80",
+			" │  └ hosts",
+			" │     ├ web01",
+			" │     └ web02",
+			" └ debug: false"
+		].join("\n"), "Nested object rendered", text );
+		
+		text = cli.treeData({ name: "my-app", children: [ { name: "pixl-cli", children: [ { name: "chalk" } ] }, { name: "pixl-args" } ] });
+		test.ok( text == "my-app\n ├ pixl-cli\n │  └ chalk\n └ pixl-args", "Nodes rendered", text );
+		test.done();
+	}
+	
+];